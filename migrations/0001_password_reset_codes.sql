@@ -0,0 +1,6 @@
+-- Kode sekali pakai untuk alur lupa kata sandi (satu kode aktif per email)
+CREATE TABLE IF NOT EXISTS password_reset_codes (
+  email TEXT PRIMARY KEY,
+  code TEXT NOT NULL,
+  expires_at TEXT NOT NULL
+);
@@ -0,0 +1,10 @@
+-- Penghitung rate limit berbasis jendela waktu tetap (fixed window)
+CREATE TABLE IF NOT EXISTS rate_limits (
+  key TEXT PRIMARY KEY,
+  count INTEGER NOT NULL,
+  reset_at INTEGER NOT NULL -- epoch detik saat jendela berakhir
+);
+
+-- Jumlah percobaan salah untuk kode OTP; kode dikunci setelah batas tercapai
+ALTER TABLE verification_codes ADD COLUMN attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE password_reset_codes ADD COLUMN attempts INTEGER NOT NULL DEFAULT 0;
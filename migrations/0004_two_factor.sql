@@ -0,0 +1,15 @@
+-- Autentikasi dua faktor (TOTP). totp_secret terisi sejak setup, tapi baru berlaku saat totp_enabled = 1.
+ALTER TABLE users ADD COLUMN totp_secret TEXT;
+ALTER TABLE users ADD COLUMN totp_enabled INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN totp_last_used_step INTEGER; -- mencegah kode yang sama dipakai dua kali
+
+-- Kode pemulihan sekali pakai (disimpan sebagai hash SHA-256)
+CREATE TABLE IF NOT EXISTS recovery_codes (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash TEXT NOT NULL,
+  used_at TEXT,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_recovery_codes_user_id ON recovery_codes(user_id);
@@ -0,0 +1,13 @@
+-- State + PKCE verifier untuk alur OAuth Google (anti-CSRF), berlaku beberapa menit saja
+CREATE TABLE IF NOT EXISTS oauth_states (
+  state_hash TEXT PRIMARY KEY,
+  code_verifier TEXT NOT NULL,
+  expires_at TEXT NOT NULL
+);
+
+-- Kode sekali pakai untuk menyerahkan hasil login ke frontend (ditukar lewat POST, bukan JWT di URL)
+CREATE TABLE IF NOT EXISTS auth_handoff_codes (
+  code_hash TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  expires_at TEXT NOT NULL
+);
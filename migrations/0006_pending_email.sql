@@ -0,0 +1,2 @@
+-- Email baru yang menunggu verifikasi saat user mengganti alamat email
+ALTER TABLE users ADD COLUMN pending_email TEXT;
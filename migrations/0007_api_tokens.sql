@@ -0,0 +1,16 @@
+-- Personal access token untuk skrip/spreadsheet. Token hanya disimpan sebagai hash SHA-256.
+CREATE TABLE IF NOT EXISTS api_tokens (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE,
+  token_prefix TEXT NOT NULL, -- beberapa karakter awal, agar user bisa mengenali token
+  scope TEXT NOT NULL DEFAULT 'read', -- 'read' atau 'write'
+  book_ids TEXT, -- JSON array ID buku yang diizinkan; NULL = semua buku user
+  expires_at TEXT,
+  last_used_at TEXT,
+  created_at TEXT NOT NULL,
+  revoked_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_tokens_user_id ON api_tokens(user_id);
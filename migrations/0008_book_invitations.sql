@@ -0,0 +1,18 @@
+-- Undangan bergabung ke buku, termasuk untuk email yang belum punya akun Casflo
+CREATE TABLE IF NOT EXISTS book_invitations (
+  id TEXT PRIMARY KEY,
+  book_id TEXT NOT NULL REFERENCES books(id) ON DELETE CASCADE,
+  email TEXT NOT NULL, -- selalu disimpan dalam huruf kecil
+  role TEXT NOT NULL,
+  label TEXT,
+  token_hash TEXT NOT NULL UNIQUE,
+  invited_by TEXT,
+  status TEXT NOT NULL DEFAULT 'PENDING', -- PENDING, ACCEPTED, DECLINED, CANCELLED
+  expires_at TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  responded_at TEXT
+);
+
+-- Hanya boleh ada satu undangan aktif per email per buku
+CREATE UNIQUE INDEX IF NOT EXISTS idx_book_invitations_pending ON book_invitations(book_id, email) WHERE status = 'PENDING';
+CREATE INDEX IF NOT EXISTS idx_book_invitations_email ON book_invitations(email);
@@ -0,0 +1,6 @@
+-- Samakan peran anggota dengan matriks izin (OWNER, ADMIN, EDITOR, VIEWER).
+-- Peran lama lain (misal 'MEMBER') dulu bisa mengedit semua data, jadi dipetakan ke EDITOR.
+UPDATE book_members SET role = UPPER(role) WHERE UPPER(role) IN ('OWNER', 'ADMIN', 'EDITOR', 'VIEWER');
+UPDATE book_members SET role = 'EDITOR' WHERE role IS NULL OR role NOT IN ('OWNER', 'ADMIN', 'EDITOR', 'VIEWER');
+UPDATE book_invitations SET role = UPPER(role) WHERE UPPER(role) IN ('ADMIN', 'EDITOR', 'VIEWER');
+UPDATE book_invitations SET role = 'EDITOR' WHERE role NOT IN ('ADMIN', 'EDITOR', 'VIEWER');
@@ -0,0 +1,14 @@
+-- Transaksi bisa punya beberapa baris kategori (split), masing-masing dengan memo opsional
+ALTER TABLE transaction_splits ADD COLUMN memo TEXT;
+
+-- Simpan tipe transaksi agar bisa dibentuk ulang saat diubah
+ALTER TABLE transactions ADD COLUMN type TEXT;
+
+-- Isi tipe untuk transaksi lama dari bentuk split-nya:
+-- EXPENSE punya split kategori berjenis DEBIT, INCOME punya split kategori berjenis CREDIT, TRANSFER tanpa kategori
+UPDATE transactions SET type = CASE
+    WHEN EXISTS (SELECT 1 FROM transaction_splits s WHERE s.transaction_id = transactions.id AND s.category_id IS NOT NULL AND s.type = 'DEBIT') THEN 'EXPENSE'
+    WHEN EXISTS (SELECT 1 FROM transaction_splits s WHERE s.transaction_id = transactions.id AND s.category_id IS NOT NULL) THEN 'INCOME'
+    ELSE 'TRANSFER'
+END
+WHERE type IS NULL;
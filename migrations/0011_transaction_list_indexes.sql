@@ -0,0 +1,5 @@
+-- Indeks untuk daftar transaksi berhalaman (filter per buku, urut tanggal) dan pencarian split
+CREATE INDEX IF NOT EXISTS idx_transactions_book_date ON transactions (book_id, transaction_date, created_at, id);
+CREATE INDEX IF NOT EXISTS idx_transaction_splits_transaction ON transaction_splits (transaction_id);
+CREATE INDEX IF NOT EXISTS idx_transaction_splits_account ON transaction_splits (account_id);
+CREATE INDEX IF NOT EXISTS idx_transaction_splits_category ON transaction_splits (category_id);
@@ -0,0 +1,17 @@
+-- Tag per buku (misal "Liburan Bali 2026", "Reimburse") untuk menandai transaksi lintas kategori
+CREATE TABLE IF NOT EXISTS tags (
+    id TEXT PRIMARY KEY,
+    book_id TEXT NOT NULL REFERENCES books(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    color TEXT,
+    created_at TEXT DEFAULT (datetime('now','localtime'))
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tags_book_name ON tags (book_id, name COLLATE NOCASE);
+
+-- Relasi banyak-ke-banyak transaksi <-> tag
+CREATE TABLE IF NOT EXISTS transaction_tags (
+    transaction_id TEXT NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+    tag_id TEXT NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+    PRIMARY KEY (transaction_id, tag_id)
+);
+CREATE INDEX IF NOT EXISTS idx_transaction_tags_tag ON transaction_tags (tag_id);
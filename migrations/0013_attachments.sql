@@ -0,0 +1,19 @@
+-- Lampiran (foto struk, dokumen) untuk transaksi atau catatan. File disimpan di R2 (binding ATTACHMENTS).
+-- Hasil scan yang belum disimpan sebagai transaksi punya transaction_id & note_id NULL.
+-- Satu foto scan bisa dilampirkan ke beberapa transaksi, sehingga r2_key boleh dipakai lebih dari satu baris.
+CREATE TABLE IF NOT EXISTS attachments (
+    id TEXT PRIMARY KEY,
+    book_id TEXT NOT NULL REFERENCES books(id) ON DELETE CASCADE,
+    transaction_id TEXT REFERENCES transactions(id) ON DELETE CASCADE,
+    note_id TEXT REFERENCES notes(id) ON DELETE CASCADE,
+    r2_key TEXT NOT NULL,
+    file_name TEXT,
+    mime_type TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    source TEXT NOT NULL DEFAULT 'UPLOAD', -- 'UPLOAD' | 'SCAN'
+    uploaded_by TEXT,
+    created_at TEXT DEFAULT (datetime('now','localtime'))
+);
+CREATE INDEX IF NOT EXISTS idx_attachments_transaction ON attachments (transaction_id);
+CREATE INDEX IF NOT EXISTS idx_attachments_note ON attachments (note_id);
+CREATE INDEX IF NOT EXISTS idx_attachments_r2_key ON attachments (r2_key);
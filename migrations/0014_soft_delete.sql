@@ -0,0 +1,18 @@
+-- Hapus lunak (tempat sampah): baris ditandai deleted_at dan baru dihapus permanen
+-- oleh job terjadwal setelah masa simpan (lihat src/jobs/purgeTrash.js)
+ALTER TABLE books ADD COLUMN deleted_at TEXT;
+ALTER TABLE books ADD COLUMN deleted_by TEXT;
+ALTER TABLE transactions ADD COLUMN deleted_at TEXT;
+ALTER TABLE transactions ADD COLUMN deleted_by TEXT;
+ALTER TABLE categories ADD COLUMN deleted_at TEXT;
+ALTER TABLE categories ADD COLUMN deleted_by TEXT;
+ALTER TABLE goals ADD COLUMN deleted_at TEXT;
+ALTER TABLE goals ADD COLUMN deleted_by TEXT;
+ALTER TABLE notes ADD COLUMN deleted_at TEXT;
+ALTER TABLE notes ADD COLUMN deleted_by TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_books_deleted_at ON books (deleted_at);
+CREATE INDEX IF NOT EXISTS idx_transactions_deleted_at ON transactions (deleted_at);
+CREATE INDEX IF NOT EXISTS idx_categories_deleted_at ON categories (deleted_at);
+CREATE INDEX IF NOT EXISTS idx_goals_deleted_at ON goals (deleted_at);
+CREATE INDEX IF NOT EXISTS idx_notes_deleted_at ON notes (deleted_at);
@@ -0,0 +1,15 @@
+-- Riwayat perubahan per buku (append-only): siapa mengubah apa, dengan snapshot sebelum & sesudah
+CREATE TABLE IF NOT EXISTS audit_logs (
+    id TEXT PRIMARY KEY,
+    book_id TEXT NOT NULL REFERENCES books(id) ON DELETE CASCADE,
+    actor_id TEXT,
+    api_token_id TEXT, -- terisi jika perubahan dilakukan lewat personal access token
+    action TEXT NOT NULL, -- 'create' | 'update' | 'delete' | 'restore' | 'purge' | ...
+    entity_type TEXT NOT NULL,
+    entity_id TEXT,
+    before_json TEXT,
+    after_json TEXT,
+    created_at TEXT DEFAULT (datetime('now','localtime'))
+);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_book_created ON audit_logs (book_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_entity ON audit_logs (book_id, entity_type, entity_id);
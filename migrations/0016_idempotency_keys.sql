@@ -0,0 +1,11 @@
+-- Respons pertama untuk setiap Idempotency-Key, diputar ulang saat klien mengirim ulang permintaan yang sama
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  user_id TEXT NOT NULL,
+  key TEXT NOT NULL,
+  request_hash TEXT NOT NULL, -- SHA-256 dari method + path + body
+  response_status INTEGER, -- NULL selama permintaan pertama masih diproses
+  response_body TEXT,
+  expires_at INTEGER NOT NULL, -- epoch detik
+  PRIMARY KEY (user_id, key)
+);
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires ON idempotency_keys (expires_at);
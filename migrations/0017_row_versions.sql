@@ -0,0 +1,9 @@
+-- Nomor versi baris untuk ETag / If-Match (optimistic concurrency).
+-- Naik satu setiap kali data diubah lewat API; klien harus mengirim versi terakhir yang dilihatnya.
+ALTER TABLE books ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE accounts ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE transactions ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE budgets ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE goals ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE notes ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE book_settings ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
@@ -0,0 +1,15 @@
+-- Mesin transaksi berulang (job terjadwal, lihat src/jobs/postRecurringTransactions.js)
+
+-- Asal transaksi yang dibuat otomatis. Indeks unik mencegah satu jadwal diposting dua kali
+-- (misal saat job mengejar jadwal yang terlewat).
+ALTER TABLE transactions ADD COLUMN source_recurring_id TEXT;
+ALTER TABLE transactions ADD COLUMN source_due_date TEXT;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_recurring_source
+  ON transactions (source_recurring_id, source_due_date) WHERE source_recurring_id IS NOT NULL;
+
+ALTER TABLE recurring_transactions ADD COLUMN created_by TEXT; -- dipakai sebagai created_by transaksi hasil posting
+ALTER TABLE recurring_transactions ADD COLUMN paused_at TEXT;
+ALTER TABLE recurring_transactions ADD COLUMN last_posted_at TEXT;
+ALTER TABLE recurring_transactions ADD COLUMN last_error TEXT; -- alasan posting terakhir gagal (akun dihapus, dll)
+CREATE INDEX IF NOT EXISTS idx_recurring_transactions_due
+  ON recurring_transactions (is_active, paused_at, next_due_date);
@@ -0,0 +1,27 @@
+-- Pengingat yang benar-benar dikirim (email + notifikasi di aplikasi) oleh job terjadwal
+
+-- frequency NULL = sekali saja; selain itu DAILY | WEEKLY | MONTHLY | YEARLY (lihat src/lib/recurrence.js).
+-- reminder_date adalah jadwal berikutnya; start_date menjadi jangkar tanggal untuk pengingat berulang.
+ALTER TABLE reminders ADD COLUMN frequency TEXT;
+ALTER TABLE reminders ADD COLUMN start_date TEXT;
+ALTER TABLE reminders ADD COLUMN snoozed_until TEXT; -- jika terisi, pengingat dikirim ulang pada tanggal ini
+ALTER TABLE reminders ADD COLUMN last_notified_for TEXT; -- tanggal jadwal terakhir yang sudah dikirim (mencegah kirim ganda)
+ALTER TABLE reminders ADD COLUMN completed_at TEXT;
+ALTER TABLE reminders ADD COLUMN created_by TEXT;
+CREATE INDEX IF NOT EXISTS idx_reminders_due ON reminders (is_active, reminder_date);
+
+CREATE TABLE IF NOT EXISTS notifications (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  book_id TEXT REFERENCES books(id) ON DELETE CASCADE,
+  type TEXT NOT NULL, -- 'REMINDER', ...
+  title TEXT NOT NULL,
+  body TEXT,
+  entity_type TEXT,
+  entity_id TEXT,
+  dedupe_key TEXT, -- satu notifikasi per user untuk kejadian yang sama (misal 'reminder:<id>:<tanggal>')
+  read_at TEXT,
+  created_at TEXT DEFAULT (datetime('now','localtime'))
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_notifications_dedupe ON notifications (user_id, dedupe_key) WHERE dedupe_key IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_notifications_user_created ON notifications (user_id, created_at);
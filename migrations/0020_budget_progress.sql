@@ -0,0 +1,7 @@
+-- Progres anggaran per periode (lihat src/lib/budgets.js)
+
+-- Sisa anggaran yang tidak terpakai dibawa ke periode berikutnya
+ALTER TABLE budgets ADD COLUMN carry_over INTEGER NOT NULL DEFAULT 0;
+
+-- Pengeluaran anggaran dicari dari kategori transaksi
+CREATE INDEX IF NOT EXISTS idx_budget_categories_category ON budget_categories (category_id);
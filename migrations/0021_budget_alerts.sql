@@ -0,0 +1,15 @@
+-- Peringatan anggaran saat pengeluaran melewati ambang (lihat src/middleware/budgetAlerts.js)
+
+-- JSON array persen, misal [80, 100]; NULL = ambang bawaan, [] = tanpa peringatan
+ALTER TABLE budgets ADD COLUMN alert_thresholds TEXT;
+ALTER TABLE budgets ADD COLUMN alert_email INTEGER NOT NULL DEFAULT 0; -- juga kirim email ke anggota buku
+
+-- Setiap ambang hanya dikirim sekali per periode anggaran
+CREATE TABLE IF NOT EXISTS budget_alerts (
+  budget_id TEXT NOT NULL REFERENCES budgets(id) ON DELETE CASCADE,
+  period_start TEXT NOT NULL,
+  threshold INTEGER NOT NULL,
+  percentage REAL NOT NULL, -- persentase terpakai saat peringatan dikirim
+  created_at TEXT DEFAULT (datetime('now','localtime')),
+  PRIMARY KEY (budget_id, period_start, threshold)
+);
@@ -0,0 +1,12 @@
+-- Tujuan tabungan yang progresnya dihitung dari buku besar (lihat src/lib/goals.js)
+
+-- 'MANUAL'        : current_amount diisi sendiri oleh klien (perilaku lama)
+-- 'ACCOUNT'       : progres = mutasi akun tertaut (account_id) sejak ditautkan (account_linked_at).
+--                   Saldo yang sudah ada sebelum ditautkan (termasuk saldo awal akun) tidak dihitung.
+-- 'CONTRIBUTIONS' : progres = jumlah transaksi yang ditandai goal_id
+ALTER TABLE goals ADD COLUMN funding_source TEXT NOT NULL DEFAULT 'MANUAL';
+ALTER TABLE goals ADD COLUMN account_id TEXT;
+ALTER TABLE goals ADD COLUMN account_linked_at TEXT; -- 'YYYY-MM-DD', diisi server saat akun ditautkan/diganti
+
+ALTER TABLE transactions ADD COLUMN goal_id TEXT;
+CREATE INDEX IF NOT EXISTS idx_transactions_goal ON transactions (goal_id) WHERE goal_id IS NOT NULL;
@@ -1,5 +1,7 @@
 // src/db/queries.js
 import bcrypt from 'bcryptjs';
+import { buildTransactionSplits, balanceEffects } from '../lib/ledger.js';
+import { budgetPeriodRanges, summarizeBudgetPeriods } from '../lib/budgets.js';
 
 // --- [DIPERTAHANKAN & DILENGKAPI] User & Verification Code Queries ---
 // [BARU] Tambahkan daftar kategori default di sini
@@ -61,6 +63,83 @@ export const createUserWithGoogle = async (db, user) => {
   return await db.prepare('SELECT * FROM users WHERE id = ?').bind(newId).first();
 };
 
+/**
+ * [BARU] Menautkan akun Google ke user yang sudah ada (dicocokkan lewat email terverifikasi).
+ * Jika email user belum pernah diverifikasi, kata sandinya dihapus: bisa jadi akun itu
+ * didaftarkan orang lain memakai email korban sebelum korban login dengan Google.
+ */
+export const linkGoogleAccount = async (db, user, googleId) => {
+  if (user.is_email_verified) {
+    await db.prepare('UPDATE users SET google_id = ? WHERE id = ?').bind(googleId, user.id).run();
+  } else {
+    await db.prepare('UPDATE users SET google_id = ?, is_email_verified = 1, hashed_password = NULL WHERE id = ?').bind(googleId, user.id).run();
+  }
+  return await findUserById(db, user.id);
+};
+
+export const unlinkGoogleAccount = async (db, userId) => {
+  return await db.prepare('UPDATE users SET google_id = NULL WHERE id = ?').bind(userId).run();
+};
+
+export const removeUserPassword = async (db, userId) => {
+  return await db.prepare('UPDATE users SET hashed_password = NULL WHERE id = ?').bind(userId).run();
+};
+
+// --- [BARU] Profil & Penghapusan Akun ---
+export const updateUserProfile = async (db, userId, data) => {
+  await db.prepare('UPDATE users SET full_name = ?, avatar_url = ? WHERE id = ?')
+    .bind(data.full_name, data.avatar_url || null, userId).run();
+  return await db.prepare('SELECT id, full_name, email, avatar_url, is_email_verified FROM users WHERE id = ?').bind(userId).first();
+};
+
+export const setPendingEmail = async (db, userId, email) => {
+  return await db.prepare('UPDATE users SET pending_email = ? WHERE id = ?').bind(email, userId).run();
+};
+
+// Terapkan email baru yang sudah diverifikasi; kode verifikasinya ikut dihapus
+export const confirmPendingEmail = async (db, userId, email) => {
+  return await db.batch([
+    db.prepare('UPDATE users SET email = ?, pending_email = NULL, is_email_verified = 1 WHERE id = ?').bind(email, userId),
+    db.prepare('DELETE FROM verification_codes WHERE email = ?').bind(email)
+  ]);
+};
+
+// Buku di mana user adalah satu-satunya OWNER (harus dialihkan atau dihapus sebelum akun dihapus)
+export const findBooksSolelyOwnedByUser = async (db, userId) => {
+  const stmt = db.prepare(`
+    SELECT b.id, b.name
+    FROM books b
+    JOIN book_members m ON m.book_id = b.id AND m.user_id = ? AND m.role = 'OWNER'
+    WHERE NOT EXISTS (
+      SELECT 1 FROM book_members o WHERE o.book_id = b.id AND o.user_id != ? AND o.role = 'OWNER'
+    )
+  `);
+  return (await stmt.bind(userId, userId).all()).results;
+};
+
+/**
+ * Menghapus akun user dalam satu batch.
+ * - transfers: [{ bookId, userId }] buku yang kepemilikannya dialihkan
+ * - deletions: [bookId] buku yang ikut dihapus
+ * Keanggotaan di buku lain cukup dihapus.
+ */
+export const deleteUserAccount = async (db, user, { transfers = [], deletions = [] }) => {
+  const batch = [];
+  for (const transfer of transfers) {
+    batch.push(db.prepare("UPDATE book_members SET role = 'OWNER' WHERE book_id = ? AND user_id = ?").bind(transfer.bookId, transfer.userId));
+  }
+  for (const bookId of deletions) {
+    batch.push(db.prepare('DELETE FROM books WHERE id = ?').bind(bookId));
+  }
+  batch.push(db.prepare('DELETE FROM book_members WHERE user_id = ?').bind(user.id));
+  batch.push(db.prepare('DELETE FROM sessions WHERE user_id = ?').bind(user.id));
+  batch.push(db.prepare('DELETE FROM recovery_codes WHERE user_id = ?').bind(user.id));
+  batch.push(db.prepare('DELETE FROM verification_codes WHERE email = ?').bind(user.email));
+  batch.push(db.prepare('DELETE FROM password_reset_codes WHERE email = ?').bind(user.email));
+  batch.push(db.prepare('DELETE FROM users WHERE id = ?').bind(user.id));
+  return await db.batch(batch);
+};
+
 export const createUserWithPassword = async (db, userData) => {
     const existingUser = await findUserByEmail(db, userData.email);
     if (existingUser) {
@@ -93,9 +172,263 @@ export const deleteVerificationCode = async (db, email) => {
   return await db.prepare('DELETE FROM verification_codes WHERE email = ?').bind(email).run();
 };
 
+// [BARU] Catat satu percobaan kode yang salah
+export const incrementVerificationCodeAttempts = async (db, email) => {
+  return await db.prepare('UPDATE verification_codes SET attempts = attempts + 1 WHERE email = ?').bind(email).run();
+};
+
+// [BARU] Kode reset kata sandi (pola yang sama dengan kode verifikasi)
+export const savePasswordResetCode = async (db, email, code) => {
+  const expires_at = new Date(Date.now() + 10 * 60 * 1000);
+  return await db.prepare('INSERT OR REPLACE INTO password_reset_codes (email, code, expires_at) VALUES (?, ?, ?)')
+    .bind(email, code, expires_at.toISOString()).run();
+};
+
+export const findPasswordResetCode = async (db, email) => {
+  return await db.prepare('SELECT * FROM password_reset_codes WHERE email = ?').bind(email).first();
+};
+
+export const deletePasswordResetCode = async (db, email) => {
+  return await db.prepare('DELETE FROM password_reset_codes WHERE email = ?').bind(email).run();
+};
+
+export const incrementPasswordResetCodeAttempts = async (db, email) => {
+  return await db.prepare('UPDATE password_reset_codes SET attempts = attempts + 1 WHERE email = ?').bind(email).run();
+};
+
+export const updateUserPassword = async (db, userId, password) => {
+  const salt = await bcrypt.genSalt(10);
+  const hashedPassword = await bcrypt.hash(password, salt);
+  return await db.prepare('UPDATE users SET hashed_password = ? WHERE id = ?').bind(hashedPassword, userId).run();
+};
+
+// --- [BARU] Sesi Login (Refresh Token) ---
+export const createSession = async (db, session) => {
+  const now = new Date().toISOString();
+  await db.prepare('INSERT INTO sessions (id, user_id, refresh_token_hash, user_agent, ip_address, created_at, last_used_at, expires_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)')
+    .bind(session.id, session.user_id, session.refresh_token_hash, session.user_agent || null, session.ip_address || null, now, now, session.expires_at).run();
+  return session;
+};
+
+export const findSessionById = async (db, sessionId) => {
+  return await db.prepare('SELECT * FROM sessions WHERE id = ?').bind(sessionId).first();
+};
+
+export const findSessionByRefreshHash = async (db, tokenHash) => {
+  return await db.prepare('SELECT * FROM sessions WHERE refresh_token_hash = ?').bind(tokenHash).first();
+};
+
+// Dipakai untuk mendeteksi refresh token lama yang dipakai ulang (indikasi token dicuri)
+export const findSessionByPreviousRefreshHash = async (db, tokenHash) => {
+  return await db.prepare('SELECT * FROM sessions WHERE previous_token_hash = ?').bind(tokenHash).first();
+};
+
+export const findActiveSessionsByUserId = async (db, userId) => {
+  const stmt = db.prepare(`
+    SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+    FROM sessions
+    WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+    ORDER BY last_used_at DESC
+  `);
+  return (await stmt.bind(userId, new Date().toISOString()).all()).results;
+};
+
+// Ganti refresh token (rotasi) secara atomik: hanya berhasil jika hash lama masih berlaku
+export const rotateSessionRefreshToken = async (db, sessionId, oldHash, newHash, expiresAt) => {
+  const result = await db.prepare(`
+    UPDATE sessions
+    SET refresh_token_hash = ?, previous_token_hash = ?, last_used_at = ?, expires_at = ?
+    WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL
+  `).bind(newHash, oldHash, new Date().toISOString(), expiresAt, sessionId, oldHash).run();
+  return result.meta.changes > 0;
+};
+
+export const revokeSession = async (db, sessionId) => {
+  return await db.prepare('UPDATE sessions SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL')
+    .bind(new Date().toISOString(), sessionId).run();
+};
+
+// Cabut semua sesi milik user, kecuali (opsional) sesi yang sedang dipakai
+export const revokeAllUserSessions = async (db, userId, exceptSessionId = null) => {
+  return await db.prepare('UPDATE sessions SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL AND id IS NOT ?')
+    .bind(new Date().toISOString(), userId, exceptSessionId).run();
+};
+
+// --- [BARU] OAuth State (PKCE) & Kode Serah Terima Login ---
+export const createOAuthState = async (db, stateHash, codeVerifier) => {
+  const now = new Date();
+  const expires_at = new Date(now.getTime() + 10 * 60 * 1000);
+  return await db.batch([
+    // Bersihkan state kedaluwarsa dari alur login yang tidak diselesaikan
+    db.prepare('DELETE FROM oauth_states WHERE expires_at < ?').bind(now.toISOString()),
+    db.prepare('INSERT INTO oauth_states (state_hash, code_verifier, expires_at) VALUES (?, ?, ?)')
+      .bind(stateHash, codeVerifier, expires_at.toISOString())
+  ]);
+};
+
+// Ambil sekaligus hapus state (sekali pakai); null jika tidak ada atau sudah kedaluwarsa
+export const consumeOAuthState = async (db, stateHash) => {
+  const row = await db.prepare('DELETE FROM oauth_states WHERE state_hash = ? RETURNING code_verifier, expires_at').bind(stateHash).first();
+  if (!row || new Date(row.expires_at) < new Date()) return null;
+  return row;
+};
+
+export const createAuthHandoffCode = async (db, codeHash, userId) => {
+  const now = new Date();
+  const expires_at = new Date(now.getTime() + 60 * 1000); // 1 menit untuk ditukar oleh frontend
+  return await db.batch([
+    db.prepare('DELETE FROM auth_handoff_codes WHERE expires_at < ?').bind(now.toISOString()),
+    db.prepare('INSERT INTO auth_handoff_codes (code_hash, user_id, expires_at) VALUES (?, ?, ?)')
+      .bind(codeHash, userId, expires_at.toISOString())
+  ]);
+};
+
+export const consumeAuthHandoffCode = async (db, codeHash) => {
+  const row = await db.prepare('DELETE FROM auth_handoff_codes WHERE code_hash = ? RETURNING user_id, expires_at').bind(codeHash).first();
+  if (!row || new Date(row.expires_at) < new Date()) return null;
+  return row;
+};
+
+// --- [BARU] Autentikasi Dua Faktor (TOTP) ---
+export const saveTotpSecret = async (db, userId, secret) => {
+  return await db.prepare('UPDATE users SET totp_secret = ?, totp_enabled = 0, totp_last_used_step = NULL WHERE id = ?')
+    .bind(secret, userId).run();
+};
+
+export const enableTotp = async (db, userId, usedStep) => {
+  return await db.prepare('UPDATE users SET totp_enabled = 1, totp_last_used_step = ? WHERE id = ?').bind(usedStep, userId).run();
+};
+
+// Tandai langkah waktu sebagai terpakai; gagal jika langkah ini (atau yang lebih baru) sudah dipakai
+export const markTotpStepUsed = async (db, userId, step) => {
+  const result = await db.prepare('UPDATE users SET totp_last_used_step = ? WHERE id = ? AND (totp_last_used_step IS NULL OR totp_last_used_step < ?)')
+    .bind(step, userId, step).run();
+  return result.meta.changes > 0;
+};
+
+export const disableTotp = async (db, userId) => {
+  return await db.batch([
+    db.prepare('UPDATE users SET totp_secret = NULL, totp_enabled = 0, totp_last_used_step = NULL WHERE id = ?').bind(userId),
+    db.prepare('DELETE FROM recovery_codes WHERE user_id = ?').bind(userId)
+  ]);
+};
+
+// Ganti seluruh kode pemulihan milik user dengan set yang baru
+export const replaceRecoveryCodes = async (db, userId, codeHashes) => {
+  const now = new Date().toISOString();
+  const batch = [db.prepare('DELETE FROM recovery_codes WHERE user_id = ?').bind(userId)];
+  for (const codeHash of codeHashes) {
+    batch.push(
+      db.prepare('INSERT INTO recovery_codes (id, user_id, code_hash, created_at) VALUES (?, ?, ?, ?)')
+        .bind(`rc-${crypto.randomUUID()}`, userId, codeHash, now)
+    );
+  }
+  return await db.batch(batch);
+};
+
+// Pakai satu kode pemulihan; mengembalikan true jika kode valid dan belum pernah dipakai
+export const consumeRecoveryCode = async (db, userId, codeHash) => {
+  const result = await db.prepare('UPDATE recovery_codes SET used_at = ? WHERE user_id = ? AND code_hash = ? AND used_at IS NULL')
+    .bind(new Date().toISOString(), userId, codeHash).run();
+  return result.meta.changes > 0;
+};
+
+export const countUnusedRecoveryCodes = async (db, userId) => {
+  return await db.prepare('SELECT COUNT(*) as total FROM recovery_codes WHERE user_id = ? AND used_at IS NULL').bind(userId).first('total');
+};
+
+// --- [BARU] Personal Access Token ---
+const parseApiToken = (row) => row && ({ ...row, book_ids: row.book_ids ? JSON.parse(row.book_ids) : null });
+
+export const createApiToken = async (db, data) => {
+  const newId = `pat-${crypto.randomUUID()}`;
+  const now = new Date().toISOString();
+  await db.prepare('INSERT INTO api_tokens (id, user_id, name, token_hash, token_prefix, scope, book_ids, expires_at, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)')
+    .bind(newId, data.user_id, data.name, data.token_hash, data.token_prefix, data.scope, data.book_ids ? JSON.stringify(data.book_ids) : null, data.expires_at || null, now).run();
+  return { id: newId, name: data.name, token_prefix: data.token_prefix, scope: data.scope, book_ids: data.book_ids || null, expires_at: data.expires_at || null, created_at: now };
+};
+
+export const findApiTokenByHash = async (db, tokenHash) => {
+  return parseApiToken(await db.prepare('SELECT * FROM api_tokens WHERE token_hash = ?').bind(tokenHash).first());
+};
+
+export const findApiTokensByUserId = async (db, userId) => {
+  const stmt = db.prepare(`
+    SELECT id, name, token_prefix, scope, book_ids, expires_at, last_used_at, created_at
+    FROM api_tokens
+    WHERE user_id = ? AND revoked_at IS NULL
+    ORDER BY created_at DESC
+  `);
+  return (await stmt.bind(userId).all()).results.map(parseApiToken);
+};
+
+export const touchApiToken = async (db, tokenId) => {
+  return await db.prepare('UPDATE api_tokens SET last_used_at = ? WHERE id = ?').bind(new Date().toISOString(), tokenId).run();
+};
+
+export const revokeApiToken = async (db, userId, tokenId) => {
+  const result = await db.prepare('UPDATE api_tokens SET revoked_at = ? WHERE id = ? AND user_id = ? AND revoked_at IS NULL')
+    .bind(new Date().toISOString(), tokenId, userId).run();
+  return result.meta.changes > 0;
+};
+
+// --- [BARU] Rate Limit ---
+// Tambah hitungan untuk 'key' secara atomik; jendela baru dimulai jika yang lama sudah lewat
+export const hitRateLimit = async (db, key, windowSeconds) => {
+  const now = Math.floor(Date.now() / 1000);
+  return await db.prepare(`
+    INSERT INTO rate_limits (key, count, reset_at) VALUES (?, 1, ?)
+    ON CONFLICT(key) DO UPDATE SET
+      count = CASE WHEN reset_at <= ? THEN 1 ELSE count + 1 END,
+      reset_at = CASE WHEN reset_at <= ? THEN excluded.reset_at ELSE reset_at END
+    RETURNING count, reset_at
+  `).bind(key, now + windowSeconds, now, now).first();
+};
+
+// Baca hitungan saat ini tanpa menambahnya (null jika jendela sudah lewat)
+export const peekRateLimit = async (db, key) => {
+  const now = Math.floor(Date.now() / 1000);
+  return await db.prepare('SELECT count, reset_at FROM rate_limits WHERE key = ? AND reset_at > ?').bind(key, now).first();
+};
+
+// --- [BARU] Idempotency Key ---
+export const IDEMPOTENCY_KEY_TTL_SECONDS = 60 * 60 * 24; // 24 jam
+
+// Klaim kunci untuk permintaan pertama. Kunci yang sudah kedaluwarsa boleh diklaim ulang.
+// Mengembalikan true jika berhasil; false jika kunci sudah dipakai (lihat findIdempotencyKey).
+export const reserveIdempotencyKey = async (db, userId, key, requestHash) => {
+  const now = Math.floor(Date.now() / 1000);
+  const result = await db.prepare(`
+    INSERT INTO idempotency_keys (user_id, key, request_hash, expires_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT(user_id, key) DO UPDATE SET
+      request_hash = excluded.request_hash, response_status = NULL, response_body = NULL, expires_at = excluded.expires_at
+    WHERE idempotency_keys.expires_at <= ?
+  `).bind(userId, key, requestHash, now + IDEMPOTENCY_KEY_TTL_SECONDS, now).run();
+  return result.meta.changes > 0;
+};
+
+export const findIdempotencyKey = async (db, userId, key) => {
+  return await db.prepare('SELECT * FROM idempotency_keys WHERE user_id = ? AND key = ?').bind(userId, key).first();
+};
+
+export const saveIdempotentResponse = async (db, userId, key, status, body) => {
+  return await db.prepare('UPDATE idempotency_keys SET response_status = ?, response_body = ? WHERE user_id = ? AND key = ?')
+    .bind(status, body, userId, key).run();
+};
+
+// Lepas kunci jika permintaan gagal di server, agar klien bisa mencoba lagi dengan kunci yang sama
+export const releaseIdempotencyKey = async (db, userId, key) => {
+  return await db.prepare('DELETE FROM idempotency_keys WHERE user_id = ? AND key = ? AND response_status IS NULL').bind(userId, key).run();
+};
+
+export const purgeExpiredIdempotencyKeys = async (db) => {
+  const result = await db.prepare('DELETE FROM idempotency_keys WHERE expires_at <= ?').bind(Math.floor(Date.now() / 1000)).run();
+  return result.meta.changes;
+};
+
 // --- [DIPERTAHANKAN & DIUBAH] Book & Member Queries ---
 export const findBooksByUserId = async (db, userId) => {
-  const stmt = db.prepare('SELECT w.id, w.name, w.icon, wm.role FROM books w JOIN book_members wm ON w.id = wm.book_id WHERE wm.user_id = ?');
+  const stmt = db.prepare('SELECT w.id, w.name, w.icon, wm.role FROM books w JOIN book_members wm ON w.id = wm.book_id WHERE wm.user_id = ? AND w.deleted_at IS NULL');
   return (await stmt.bind(userId).all()).results;
 };
 export const findBookById = async (db, bookId) => {
@@ -134,15 +467,25 @@ export const createBookWithMember = async (db, bookData, userId) => {
   await db.batch(batch);
   return { id: newBookId, ...bookData };
 };
-export const updateBook = async (db, bookId, data) => {
+export const updateBook = async (db, bookId, data, expectedVersion) => {
   // [PERBAIKAN] Tambahkan 'icon = ?'
-  await db.prepare('UPDATE books SET name = ?, icon = ?, updated_at = datetime("now","localtime"), updated_by = ? WHERE id = ?')
+  // [BARU] version naik setiap perubahan (ETag / If-Match); hanya tersimpan jika versinya masih expectedVersion
+  const result = await db.prepare('UPDATE books SET name = ?, icon = ?, updated_at = datetime("now","localtime"), updated_by = ?, version = version + 1 WHERE id = ? AND version = ?')
     // [PERBAIKAN] Tambahkan 'data.icon' ke bind
-    .bind(data.name, data.icon || '📚', data.updated_by, bookId).run();
+    .bind(data.name, data.icon || '📚', data.updated_by, bookId, expectedVersion).run();
+  if (result.meta.changes === 0) return { conflict: true };
   return { id: bookId, name: data.name, icon: data.icon }; // Kembalikan data icon juga
 };
-export const deleteBook = async (db, bookId) => {
-  return await db.prepare('DELETE FROM books WHERE id = ?').bind(bookId).run();
+// [DIUBAH] Buku masuk tempat sampah dulu; dihapus permanen oleh job setelah masa simpan
+// [BARU] Hanya jika versinya masih expectedVersion (If-Match); perubahan yang menyela menghasilkan { conflict: true }
+export const deleteBook = async (db, bookId, userId, expectedVersion) => {
+  const result = await db.prepare("UPDATE books SET deleted_at = datetime('now','localtime'), deleted_by = ?, version = version + 1 WHERE id = ? AND version = ?")
+    .bind(userId, bookId, expectedVersion).run();
+  if (result.meta.changes === 0) return { conflict: true };
+  return { success: true };
+};
+export const restoreBook = async (db, bookId) => {
+  return await db.prepare('UPDATE books SET deleted_at = NULL, deleted_by = NULL WHERE id = ?').bind(bookId).run();
 };
 export const findMember = async (db, bookId, userId) => {
   return await db.prepare('SELECT * FROM book_members WHERE book_id = ? AND user_id = ?').bind(bookId, userId).first();
@@ -160,6 +503,278 @@ export const addBookMember = async (db, bookId, userId, role, label) => { // <--
 export const removeBookMember = async (db, bookId, userId) => {
   return await db.prepare('DELETE FROM book_members WHERE book_id = ? AND user_id = ?').bind(bookId, userId).run();
 };
+export const updateMemberRole = async (db, bookId, userId, role) => {
+  return await db.prepare('UPDATE book_members SET role = ? WHERE book_id = ? AND user_id = ?').bind(role, bookId, userId).run();
+};
+// [BARU] Owner baru naik menjadi OWNER, owner lama turun menjadi ADMIN (dalam satu batch)
+export const transferBookOwnership = async (db, bookId, fromUserId, toUserId) => {
+  return await db.batch([
+    db.prepare("UPDATE book_members SET role = 'OWNER' WHERE book_id = ? AND user_id = ?").bind(bookId, toUserId),
+    db.prepare("UPDATE book_members SET role = 'ADMIN' WHERE book_id = ? AND user_id = ?").bind(bookId, fromUserId)
+  ]);
+};
+
+// --- [BARU] Undangan Anggota Buku ---
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // Undangan berlaku 7 hari
+
+export const createBookInvitation = async (db, data) => {
+  const newId = `inv-${crypto.randomUUID()}`;
+  const now = new Date();
+  const invitation = {
+    id: newId,
+    book_id: data.book_id,
+    email: data.email.toLowerCase(),
+    role: data.role,
+    label: data.label || null,
+    invited_by: data.invited_by,
+    status: 'PENDING',
+    expires_at: new Date(now.getTime() + INVITATION_TTL_MS).toISOString(),
+    created_at: now.toISOString()
+  };
+  await db.prepare('INSERT INTO book_invitations (id, book_id, email, role, label, token_hash, invited_by, status, expires_at, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)')
+    .bind(newId, invitation.book_id, invitation.email, invitation.role, invitation.label, data.token_hash, invitation.invited_by, invitation.status, invitation.expires_at, invitation.created_at).run();
+  return invitation;
+};
+
+export const findPendingInvitation = async (db, bookId, email) => {
+  return await db.prepare("SELECT * FROM book_invitations WHERE book_id = ? AND email = ? AND status = 'PENDING'")
+    .bind(bookId, email.toLowerCase()).first();
+};
+
+export const findInvitationById = async (db, invitationId) => {
+  return await db.prepare('SELECT * FROM book_invitations WHERE id = ?').bind(invitationId).first();
+};
+
+export const findInvitationByTokenHash = async (db, tokenHash) => {
+  return await db.prepare('SELECT * FROM book_invitations WHERE token_hash = ?').bind(tokenHash).first();
+};
+
+export const findPendingInvitationsByBookId = async (db, bookId) => {
+  const stmt = db.prepare(`
+    SELECT i.id, i.email, i.role, i.label, i.status, i.expires_at, i.created_at, u.full_name as invited_by_name
+    FROM book_invitations i
+    LEFT JOIN users u ON i.invited_by = u.id
+    WHERE i.book_id = ? AND i.status = 'PENDING'
+    ORDER BY i.created_at DESC
+  `);
+  return (await stmt.bind(bookId).all()).results;
+};
+
+// Undangan yang masih berlaku untuk sebuah email (untuk ditampilkan ke calon anggota)
+export const findPendingInvitationsByEmail = async (db, email) => {
+  const stmt = db.prepare(`
+    SELECT i.id, i.book_id, b.name as book_name, b.icon as book_icon, i.role, i.label, i.expires_at, i.created_at, u.full_name as invited_by_name
+    FROM book_invitations i
+    JOIN books b ON i.book_id = b.id
+    LEFT JOIN users u ON i.invited_by = u.id
+    WHERE i.email = ? AND i.status = 'PENDING' AND i.expires_at > ?
+    ORDER BY i.created_at DESC
+  `);
+  return (await stmt.bind(email.toLowerCase(), new Date().toISOString()).all()).results;
+};
+
+// Ganti token (kirim ulang) dan perpanjang masa berlaku undangan
+export const refreshInvitationToken = async (db, invitationId, tokenHash) => {
+  const expires_at = new Date(Date.now() + INVITATION_TTL_MS).toISOString();
+  await db.prepare('UPDATE book_invitations SET token_hash = ?, expires_at = ? WHERE id = ?').bind(tokenHash, expires_at, invitationId).run();
+  return expires_at;
+};
+
+export const updateInvitationStatus = async (db, invitationId, status) => {
+  return await db.prepare("UPDATE book_invitations SET status = ?, responded_at = ? WHERE id = ? AND status = 'PENDING'")
+    .bind(status, new Date().toISOString(), invitationId).run();
+};
+
+// Terima undangan: tambahkan user sebagai anggota (abaikan jika sudah anggota) dan tutup undangannya
+export const acceptInvitation = async (db, invitation, userId) => {
+  return await db.batch([
+    db.prepare('INSERT OR IGNORE INTO book_members (book_id, user_id, role, label) VALUES (?, ?, ?, ?)')
+      .bind(invitation.book_id, userId, invitation.role, invitation.label || null),
+    db.prepare("UPDATE book_invitations SET status = 'ACCEPTED', responded_at = ? WHERE id = ? AND status = 'PENDING'")
+      .bind(new Date().toISOString(), invitation.id)
+  ]);
+};
+
+// Dipanggil saat email user terverifikasi: semua undangan yang menunggu langsung diterima
+export const acceptPendingInvitationsForUser = async (db, user) => {
+  const invitations = (await db.prepare("SELECT * FROM book_invitations WHERE email = ? AND status = 'PENDING' AND expires_at > ?")
+    .bind(user.email.toLowerCase(), new Date().toISOString()).all()).results;
+  for (const invitation of invitations) {
+    await acceptInvitation(db, invitation, user.id);
+  }
+  return invitations.length;
+};
+
+// --- [BARU] Scoping Sumber Daya Buku ---
+// Semua sumber daya anak (akun, kategori, transaksi, dll) wajib dicari bersama book_id dari URL,
+// sehingga ID milik buku lain diperlakukan sama seperti ID yang tidak ada.
+// softDelete: baris yang ada di tempat sampah (deleted_at terisi) dianggap tidak ada, kecuali diminta.
+export const BOOK_RESOURCES = {
+  account: { table: 'accounts', label: 'Account' },
+  category: { table: 'categories', label: 'Category', softDelete: true },
+  contact: { table: 'contacts', label: 'Contact' },
+  transaction: { table: 'transactions', label: 'Transaction', softDelete: true },
+  budget: { table: 'budgets', label: 'Budget' },
+  recurringTransaction: { table: 'recurring_transactions', label: 'Recurring transaction' },
+  reminder: { table: 'reminders', label: 'Reminder' },
+  goal: { table: 'goals', label: 'Goal', softDelete: true },
+  note: { table: 'notes', label: 'Note', softDelete: true },
+  tag: { table: 'tags', label: 'Tag' },
+  attachment: { table: 'attachments', label: 'Attachment' }
+};
+const bookResource = (resource) => {
+  const definition = BOOK_RESOURCES[resource];
+  if (!definition) throw new Error(`Unknown book resource: ${resource}`);
+  return definition;
+};
+// options.deleted = true untuk mencari baris di tempat sampah (restore / hapus permanen)
+export const findBookResource = async (db, resource, bookId, id, options = {}) => {
+  const { table, softDelete } = bookResource(resource);
+  const trashClause = softDelete ? ` AND deleted_at IS ${options.deleted ? 'NOT NULL' : 'NULL'}` : '';
+  return await db.prepare(`SELECT * FROM ${table} WHERE id = ? AND book_id = ?${trashClause}`).bind(id, bookId).first();
+};
+// Memastikan ID yang dirujuk di body (misal from_account_id, category_id) milik buku yang sama.
+// refs: { account: [...ids], category: [...ids], ... }; nilai kosong diabaikan.
+export const validateBookReferences = async (db, bookId, refs) => {
+  for (const [resource, ids] of Object.entries(refs)) {
+    const uniqueIds = [...new Set((ids || []).filter(Boolean))];
+    if (uniqueIds.length === 0) continue;
+    const { table, label, softDelete } = bookResource(resource);
+    const placeholders = uniqueIds.map(() => '?').join(', ');
+    const trashClause = softDelete ? ' AND deleted_at IS NULL' : '';
+    const found = await db.prepare(`SELECT COUNT(*) as total FROM ${table} WHERE book_id = ? AND id IN (${placeholders})${trashClause}`)
+      .bind(bookId, ...uniqueIds).first('total');
+    if (found !== uniqueIds.length) {
+      return { error: `${label} not found` };
+    }
+  }
+  return { success: true };
+};
+
+// [BARU] Versi per item dari validateBookReferences (untuk batch): satu query per jenis sumber daya.
+// refsList: [{ account: [...ids], category: [...ids], ... }]. Mengembalikan array berisi pesan error atau null.
+export const validateBookReferencesList = async (db, bookId, refsList) => {
+  const existing = {};
+  for (const resource of new Set(refsList.flatMap(refs => Object.keys(refs)))) {
+    const ids = [...new Set(refsList.flatMap(refs => refs[resource] || []).filter(Boolean))];
+    existing[resource] = new Set();
+    if (ids.length === 0) continue;
+    const { table, softDelete } = bookResource(resource);
+    const placeholders = ids.map(() => '?').join(', ');
+    const trashClause = softDelete ? ' AND deleted_at IS NULL' : '';
+    const { results } = await db.prepare(`SELECT id FROM ${table} WHERE book_id = ? AND id IN (${placeholders})${trashClause}`)
+      .bind(bookId, ...ids).all();
+    results.forEach(row => existing[resource].add(row.id));
+  }
+  return refsList.map(refs => {
+    const missing = Object.entries(refs).find(([resource, ids]) => (ids || []).some(id => id && !existing[resource].has(id)));
+    return missing ? `${bookResource(missing[0]).label} not found` : null;
+  });
+};
+
+// [BARU] Representasi terkini sumber daya yang punya kolom version (untuk ETag / If-Match).
+// 'book' dan 'settings' memakai bookId; sumber daya lain memakai id.
+export const findVersionedResource = async (db, resource, bookId, id) => {
+  switch (resource) {
+    case 'book':
+      return await findBookById(db, bookId);
+    case 'settings':
+      return await findSettingsByBookId(db, bookId);
+    case 'transaction':
+      return await findTransactionById(db, bookId, id);
+    case 'budget':
+      return await findBudgetById(db, bookId, id);
+    default:
+      return await findBookResource(db, resource, bookId, id);
+  }
+};
+
+// --- [BARU] Tempat Sampah (hapus lunak) ---
+export const TRASH_RETENTION_DAYS = 30;
+
+// Untuk kategori, tujuan, dan catatan. Transaksi memakai softDeleteTransaction (ada efek saldo).
+// [BARU] expectedVersion (opsional, tabel ber-versi): hanya terhapus jika versinya masih sama, selain itu { conflict: true }
+export const softDeleteBookResource = async (db, resource, id, userId, expectedVersion) => {
+  const { table } = bookResource(resource);
+  if (expectedVersion === undefined) {
+    return await db.prepare(`UPDATE ${table} SET deleted_at = datetime('now','localtime'), deleted_by = ? WHERE id = ?`).bind(userId, id).run();
+  }
+  const result = await db.prepare(`UPDATE ${table} SET deleted_at = datetime('now','localtime'), deleted_by = ?, version = version + 1 WHERE id = ? AND version = ?`)
+    .bind(userId, id, expectedVersion).run();
+  if (result.meta.changes === 0) return { conflict: true };
+  return { success: true };
+};
+export const restoreBookResource = async (db, resource, id) => {
+  const { table } = bookResource(resource);
+  return await db.prepare(`UPDATE ${table} SET deleted_at = NULL, deleted_by = NULL WHERE id = ?`).bind(id).run();
+};
+
+export const findTrashByBookId = async (db, bookId) => {
+  const purgeAfter = `datetime(x.deleted_at, '+${TRASH_RETENTION_DAYS} days') as purge_after`;
+  const [transactions, categories, goals, notes] = await Promise.all([
+    db.prepare(`
+      SELECT x.id, x.type, x.description, x.transaction_date, x.deleted_at, x.deleted_by, ${purgeAfter},
+        (SELECT SUM(s.amount) FROM transaction_splits s WHERE s.transaction_id = x.id AND s.amount > 0) as total_amount
+      FROM transactions x WHERE x.book_id = ? AND x.deleted_at IS NOT NULL ORDER BY x.deleted_at DESC`).bind(bookId).all(),
+    db.prepare(`SELECT x.id, x.name, x.type, x.icon, x.deleted_at, x.deleted_by, ${purgeAfter} FROM categories x WHERE x.book_id = ? AND x.deleted_at IS NOT NULL ORDER BY x.deleted_at DESC`).bind(bookId).all(),
+    db.prepare(`SELECT x.id, x.name, x.target_amount, x.deleted_at, x.deleted_by, ${purgeAfter} FROM goals x WHERE x.book_id = ? AND x.deleted_at IS NOT NULL ORDER BY x.deleted_at DESC`).bind(bookId).all(),
+    db.prepare(`SELECT x.id, x.title, x.note_date, x.deleted_at, x.deleted_by, ${purgeAfter} FROM notes x WHERE x.book_id = ? AND x.deleted_at IS NOT NULL ORDER BY x.deleted_at DESC`).bind(bookId).all()
+  ]);
+  return { transactions: transactions.results, categories: categories.results, goals: goals.results, notes: notes.results };
+};
+
+// Buku di tempat sampah yang bisa dipulihkan user (hanya Owner)
+export const findDeletedBooksByOwner = async (db, userId) => {
+  const stmt = db.prepare(`
+    SELECT b.id, b.name, b.icon, b.deleted_at, b.deleted_by, datetime(b.deleted_at, '+${TRASH_RETENTION_DAYS} days') as purge_after
+    FROM books b JOIN book_members m ON m.book_id = b.id
+    WHERE m.user_id = ? AND m.role = 'OWNER' AND b.deleted_at IS NOT NULL
+    ORDER BY b.deleted_at DESC`);
+  return (await stmt.bind(userId).all()).results;
+};
+
+/**
+ * Menghapus permanen isi tempat sampah yang melewati masa simpan (dipanggil job terjadwal).
+ * Mengembalikan ID buku yang dihapus dan kunci R2 yang mungkin tidak terpakai lagi,
+ * agar pemanggil bisa membersihkan file di R2.
+ */
+export const purgeExpiredTrash = async (db, retentionDays = TRASH_RETENTION_DAYS) => {
+  const cutoff = `-${retentionDays} days`;
+  const expired = async (table) => (await db.prepare(`SELECT id FROM ${table} WHERE deleted_at IS NOT NULL AND deleted_at < datetime('now','localtime', ?)`).bind(cutoff).all()).results.map(row => row.id);
+
+  const [bookIds, transactionIds, categoryIds, goalIds, noteIds] = await Promise.all(
+    ['books', 'transactions', 'categories', 'goals', 'notes'].map(expired)
+  );
+
+  // Foto scan yang tidak pernah disimpan sebagai transaksi juga dibuang setelah 1 hari
+  const staleScans = (await db.prepare(`SELECT id, r2_key FROM attachments WHERE source = 'SCAN' AND transaction_id IS NULL AND note_id IS NULL AND created_at < datetime('now','localtime', '-1 days')`).all()).results;
+
+  const attachmentKeys = new Set(staleScans.map(row => row.r2_key));
+  for (const transactionId of transactionIds) {
+    (await findAttachmentKeysByParent(db, { transactionId })).forEach(key => attachmentKeys.add(key));
+  }
+  for (const noteId of noteIds) {
+    (await findAttachmentKeysByParent(db, { noteId })).forEach(key => attachmentKeys.add(key));
+  }
+
+  const batch = [
+    ...transactionIds.flatMap(id => purgeTransactionStatements(db, id)),
+    ...noteIds.flatMap(id => deleteNoteStatements(db, id)),
+    ...categoryIds.flatMap(id => deleteCategoryStatements(db, id)),
+    ...goalIds.map(id => db.prepare('DELETE FROM goals WHERE id = ?').bind(id)),
+    ...staleScans.map(row => db.prepare('DELETE FROM attachments WHERE id = ?').bind(row.id)),
+    ...bookIds.map(id => db.prepare('DELETE FROM books WHERE id = ?').bind(id))
+  ];
+  if (batch.length > 0) {
+    await db.batch(batch);
+  }
+
+  return {
+    bookIds,
+    attachmentKeys: [...attachmentKeys],
+    counts: { books: bookIds.length, transactions: transactionIds.length, categories: categoryIds.length, goals: goalIds.length, notes: noteIds.length, scans: staleScans.length }
+  };
+};
 
 // --- [BARU] CRUD untuk Accounts ---
 export const findAccountsByBookId = async (db, bookId) => {
@@ -172,23 +787,26 @@ export const createAccount = async (db, data) => {
     .bind(newId, data.book_id, data.name, data.type, balanceInCents).run();
   return { id: newId, ...data };
 };
-export const updateAccount = async (db, accountId, data) => {
-    await db.prepare('UPDATE accounts SET name = ?, type = ?, is_archived = ? WHERE id = ?')
-        .bind(data.name, data.type, data.is_archived, accountId).run();
+export const updateAccount = async (db, accountId, data, expectedVersion) => {
+    const result = await db.prepare('UPDATE accounts SET name = ?, type = ?, is_archived = ?, version = version + 1 WHERE id = ? AND version = ?')
+        .bind(data.name, data.type, data.is_archived, accountId, expectedVersion).run();
+    if (result.meta.changes === 0) return { conflict: true };
     return { id: accountId, ...data };
 };
-export const deleteAccount = async (db, accountId) => {
+export const deleteAccount = async (db, accountId, expectedVersion) => {
     const account = await db.prepare('SELECT balance FROM accounts WHERE id = ?').bind(accountId).first();
     if (account && account.balance !== 0) {
       return { error: 'Cannot delete account with a non-zero balance.' };
     }
-    await db.prepare('DELETE FROM accounts WHERE id = ?').bind(accountId).run();
+    // [BARU] Hanya jika versinya masih expectedVersion (If-Match)
+    const result = await db.prepare('DELETE FROM accounts WHERE id = ? AND version = ?').bind(accountId, expectedVersion).run();
+    if (result.meta.changes === 0) return { conflict: true };
     return { success: true };
 };
 
 // --- [DIPERTAHANKAN] CRUD untuk Categories & Contacts ---
 export const findCategoriesByBookId = async (db, bookId) => {
-  return (await db.prepare('SELECT * FROM categories WHERE book_id = ? ORDER BY name ASC').bind(bookId).all()).results;
+  return (await db.prepare('SELECT * FROM categories WHERE book_id = ? AND deleted_at IS NULL ORDER BY name ASC').bind(bookId).all()).results;
 };
 export const createCategory = async (db, data) => {
   const newId = `ca-${crypto.randomUUID()}`;
@@ -203,8 +821,13 @@ export const updateCategory = async (db, categoryId, data) => {
     .bind(data.name, data.type, data.icon || null, categoryId).run();
   return { id: categoryId, ...data };
 };
+// Hapus permanen (dari tempat sampah)
+const deleteCategoryStatements = (db, categoryId) => [
+  db.prepare('DELETE FROM budget_categories WHERE category_id = ?').bind(categoryId),
+  db.prepare('DELETE FROM categories WHERE id = ?').bind(categoryId)
+];
 export const deleteCategory = async (db, categoryId) => {
-  return await db.prepare('DELETE FROM categories WHERE id = ?').bind(categoryId).run();
+  return await db.batch(deleteCategoryStatements(db, categoryId));
 };
 export const findContactsByBookId = async (db, bookId) => {
     return (await db.prepare('SELECT * FROM contacts WHERE book_id = ? ORDER BY name ASC').bind(bookId).all()).results;
@@ -224,200 +847,423 @@ export const deleteContact = async (db, contactId) => {
     return await db.prepare('DELETE FROM contacts WHERE id = ?').bind(contactId).run();
 };
 
+// --- [BARU] CRUD untuk Tags ---
+export const findTagsByBookId = async (db, bookId) => {
+  const query = `
+    SELECT tg.*, (SELECT COUNT(*) FROM transaction_tags tt JOIN transactions t ON tt.transaction_id = t.id WHERE tt.tag_id = tg.id AND t.deleted_at IS NULL) as transaction_count
+    FROM tags tg WHERE tg.book_id = ? ORDER BY tg.name COLLATE NOCASE ASC`;
+  return (await db.prepare(query).bind(bookId).all()).results;
+};
+export const findTagByName = async (db, bookId, name) => {
+  return await db.prepare('SELECT * FROM tags WHERE book_id = ? AND name = ? COLLATE NOCASE').bind(bookId, name).first();
+};
+export const createTag = async (db, data) => {
+  const newId = `tag-${crypto.randomUUID()}`;
+  await db.prepare('INSERT INTO tags (id, book_id, name, color) VALUES (?, ?, ?, ?)')
+    .bind(newId, data.book_id, data.name, data.color || null).run();
+  return { id: newId, ...data };
+};
+export const updateTag = async (db, tagId, data) => {
+  await db.prepare('UPDATE tags SET name = ?, color = ? WHERE id = ?').bind(data.name, data.color || null, tagId).run();
+  return { id: tagId, ...data };
+};
+export const deleteTag = async (db, tagId) => {
+  return await db.batch([
+    db.prepare('DELETE FROM transaction_tags WHERE tag_id = ?').bind(tagId),
+    db.prepare('DELETE FROM tags WHERE id = ?').bind(tagId)
+  ]);
+};
+
 // --- [DIUBAH TOTAL] Logika untuk Transactions ---
-// FUNGSI BARU (PERBAIKAN):
-// FUNGSI BARU YANG BENAR:
+// [DIUBAH] Daftar transaksi dengan filter, urutan dan pagination berbasis cursor.
+// Satu item per transaksi; baris kategori (bisa lebih dari satu) ada di 'splits'.
+// Kolom category_* dan amount tetap diisi untuk transaksi satu kategori (kompatibel dengan frontend lama).
+export const TRANSACTION_PAGE_SIZE = 50;
+export const TRANSACTION_MAX_PAGE_SIZE = 200;
+
+// Kolom urutan; kolom terakhir (id) menjamin urutan unik untuk cursor
+const TRANSACTION_SORTS = {
+  date: ['transaction_date', 'created_at', 'id'],
+  amount: ['total_amount', 'id'],
+  created: ['created_at', 'id']
+};
+
+// Cursor = nilai kolom urutan dari item terakhir, dikodekan base64url agar buram bagi klien
+const encodeCursor = (values) => btoa(JSON.stringify(values)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const decodeCursor = (cursor, length) => {
+  try {
+    const values = JSON.parse(atob(cursor.replace(/-/g, '+').replace(/_/g, '/')));
+    return Array.isArray(values) && values.length === length ? values : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * filters: startDate, endDate, accountId, categoryId, contactId, tagId, types (default EXPENSE & INCOME),
+ * minAmount, maxAmount, createdBy, search, sort ('date' | 'amount' | 'created'), order ('asc' | 'desc'), limit, cursor.
+ * Mengembalikan { transactions, nextCursor, totals } atau { error }.
+ */
 export const findTransactionsByBookId = async (db, bookId, filters = {}) => {
-  let baseQuery = `
-    SELECT 
-      t.id,
-      t.description,
-      t.transaction_date,
-      t.created_at,
-      c.name as category_name,
-      c.type as category_type,
-      c.icon as category_icon,
-      c.id as category_id,      -- [TAMBAHKAN INI]
-      s.amount,
-      a.name as account_name,
-      a.id as account_id        -- [TAMBAHKAN INI]
-    FROM transactions t
-    JOIN transaction_splits s ON t.id = s.transaction_id
-    LEFT JOIN categories c ON s.category_id = c.id
-    LEFT JOIN accounts a ON s.account_id = a.id
-  `;
+  const sortColumns = TRANSACTION_SORTS[filters.sort || 'date'];
+  if (!sortColumns) return { error: `Invalid sort. Use one of: ${Object.keys(TRANSACTION_SORTS).join(', ')}.` };
+  const direction = filters.order === 'asc' ? 'ASC' : 'DESC';
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || TRANSACTION_PAGE_SIZE, 1), TRANSACTION_MAX_PAGE_SIZE);
 
-  const whereClauses = ['t.book_id = ?', 's.category_id IS NOT NULL']; 
+  // 1. Filter di level transaksi
+  const whereClauses = ['t.book_id = ?', 't.deleted_at IS NULL'];
   const params = [bookId];
 
   if (filters.startDate && filters.endDate) {
     whereClauses.push('t.transaction_date BETWEEN ? AND ?');
     params.push(filters.startDate, filters.endDate);
   }
+  // Transfer disembunyikan kecuali diminta lewat filter tipe (perilaku lama)
+  const types = filters.types && filters.types.length > 0 ? filters.types : ['EXPENSE', 'INCOME'];
+  whereClauses.push(`t.type IN (${types.map(() => '?').join(', ')})`);
+  params.push(...types);
+  // Filter akun/kategori memilih transaksinya, lalu semua baris split transaksi itu tetap ditampilkan
   if (filters.accountId) {
-    whereClauses.push('s.account_id = ?'); 
+    whereClauses.push('t.id IN (SELECT transaction_id FROM transaction_splits WHERE account_id = ?)'); 
     params.push(filters.accountId); 
   }
   if (filters.categoryId) { 
-    whereClauses.push('s.category_id = ?'); 
+    whereClauses.push('t.id IN (SELECT transaction_id FROM transaction_splits WHERE category_id = ?)'); 
     params.push(filters.categoryId); 
   }
+  if (filters.tagId) {
+    whereClauses.push('t.id IN (SELECT transaction_id FROM transaction_tags WHERE tag_id = ?)');
+    params.push(filters.tagId);
+  }
+  if (filters.contactId) {
+    whereClauses.push('t.contact_id = ?');
+    params.push(filters.contactId);
+  }
+  if (filters.createdBy) {
+    whereClauses.push('t.created_by = ?');
+    params.push(filters.createdBy);
+  }
+  if (filters.search) {
+    whereClauses.push(`(LOWER(t.description) LIKE ? OR t.id IN (SELECT transaction_id FROM transaction_splits WHERE LOWER(memo) LIKE ?))`);
+    const pattern = `%${filters.search.toLowerCase()}%`;
+    params.push(pattern, pattern);
+  }
 
-  const finalQuery = `${baseQuery} WHERE ${whereClauses.join(' AND ')} ORDER BY t.transaction_date DESC, t.created_at DESC`;
-  return (await db.prepare(finalQuery).bind(...params).all()).results;
+  // Nilai transaksi = jumlah sisi debit (positif), berlaku untuk semua tipe
+  const filteredQuery = `
+    WITH tx AS (
+      SELECT t.id, t.type, t.description, t.transaction_date, t.created_at, t.contact_id, t.created_by, t.version, t.source_recurring_id, t.goal_id,
+        (SELECT SUM(s.amount) FROM transaction_splits s WHERE s.transaction_id = t.id AND s.amount > 0) as total_amount
+      FROM transactions t
+      WHERE ${whereClauses.join(' AND ')}
+    )
+  `;
+  const amountClauses = [];
+  const amountParams = [];
+  if (filters.minAmount != null && filters.minAmount !== '') {
+    amountClauses.push('total_amount >= ?');
+    amountParams.push(Number(filters.minAmount));
+  }
+  if (filters.maxAmount != null && filters.maxAmount !== '') {
+    amountClauses.push('total_amount <= ?');
+    amountParams.push(Number(filters.maxAmount));
+  }
+
+  // 2. Halaman berikutnya dimulai setelah item terakhir halaman sebelumnya (keyset pagination)
+  const pageClauses = [...amountClauses];
+  const pageParams = [...amountParams];
+  if (filters.cursor) {
+    const cursorValues = decodeCursor(filters.cursor, sortColumns.length);
+    if (!cursorValues) return { error: 'Invalid cursor' };
+    pageClauses.push(`(${sortColumns.join(', ')}) ${direction === 'DESC' ? '<' : '>'} (${sortColumns.map(() => '?').join(', ')})`);
+    pageParams.push(...cursorValues);
+  }
+  const pageWhere = pageClauses.length > 0 ? `WHERE ${pageClauses.join(' AND ')}` : '';
+  const amountWhere = amountClauses.length > 0 ? `WHERE ${amountClauses.join(' AND ')}` : '';
+
+  const [pageResult, totals] = await Promise.all([
+    db.prepare(`${filteredQuery} SELECT * FROM tx ${pageWhere} ORDER BY ${sortColumns.map(col => `${col} ${direction}`).join(', ')} LIMIT ?`)
+      .bind(...params, ...pageParams, limit + 1).all(),
+    db.prepare(`${filteredQuery}
+      SELECT COUNT(*) as count,
+        COALESCE(SUM(CASE WHEN type = 'INCOME' THEN total_amount ELSE 0 END), 0) as income,
+        COALESCE(SUM(CASE WHEN type = 'EXPENSE' THEN total_amount ELSE 0 END), 0) as expense,
+        COALESCE(SUM(CASE WHEN type = 'TRANSFER' THEN total_amount ELSE 0 END), 0) as transfer
+      FROM tx ${amountWhere}`).bind(...params, ...amountParams).first()
+  ]);
+
+  const pageRows = pageResult.results;
+  const hasMore = pageRows.length > limit;
+  const page = hasMore ? pageRows.slice(0, limit) : pageRows;
+  const last = page[page.length - 1];
+
+  return {
+    transactions: await attachTransactionSplits(db, page),
+    nextCursor: hasMore ? encodeCursor(sortColumns.map(col => last[col])) : null,
+    totals: { ...totals, net: totals.income - totals.expense }
+  };
 };
 
-export const createTransaction = async (db, data, userId) => {
-  const amount = Math.round(data.amount); // Hapus * 100, ganti nama var
-  if (!amount || amount <= 0) return { error: 'Invalid amount' };
-  
+// 3. Ambil semua split untuk transaksi di halaman ini, lalu bentuk satu item per transaksi
+const attachTransactionSplits = async (db, page) => {
+  if (page.length === 0) return [];
+  const ids = page.map(tx => tx.id);
+  const rows = (await db.prepare(`
+    SELECT 
+      s.transaction_id,
+      s.id as split_id,
+      s.memo,
+      c.name as category_name,
+      c.type as category_type,
+      c.icon as category_icon,
+      c.id as category_id,
+      s.amount,
+      a.name as account_name,
+      a.id as account_id
+    FROM transaction_splits s
+    LEFT JOIN categories c ON s.category_id = c.id
+    LEFT JOIN accounts a ON s.account_id = a.id
+    WHERE s.transaction_id IN (${ids.map(() => '?').join(', ')})
+    ORDER BY s.rowid
+  `).bind(...ids).all()).results;
+  const tagRows = (await db.prepare(`
+    SELECT tt.transaction_id, tg.id, tg.name, tg.color
+    FROM transaction_tags tt JOIN tags tg ON tt.tag_id = tg.id
+    WHERE tt.transaction_id IN (${ids.map(() => '?').join(', ')})
+    ORDER BY tg.name COLLATE NOCASE
+  `).bind(...ids).all()).results;
+
+  return page.map(tx => {
+    const splitRows = rows.filter(row => row.transaction_id === tx.id);
+    const lines = splitRows.filter(row => row.category_id);
+    const credit = splitRows.find(row => !row.category_id && row.amount < 0);
+    const debit = splitRows.find(row => !row.category_id && row.amount > 0);
+    // Akun utama: sumber untuk pengeluaran/transfer, tujuan untuk pemasukan
+    const account = tx.type === 'INCOME' ? debit : credit;
+    const single = lines.length === 1 ? lines[0] : null;
+    return {
+      id: tx.id,
+      type: tx.type,
+      description: tx.description,
+      transaction_date: tx.transaction_date,
+      created_at: tx.created_at,
+      created_by: tx.created_by,
+      contact_id: tx.contact_id,
+      version: tx.version,
+      source_recurring_id: tx.source_recurring_id, // [BARU] terisi jika dibuat otomatis dari transaksi berulang
+      goal_id: tx.goal_id, // [BARU] setoran ke tujuan tabungan
+      account_name: account ? account.account_name : null,
+      account_id: account ? account.account_id : null,
+      to_account_name: tx.type === 'TRANSFER' && debit ? debit.account_name : null,
+      to_account_id: tx.type === 'TRANSFER' && debit ? debit.account_id : null,
+      // Jumlah bertanda seperti sebelumnya (pengeluaran positif, pemasukan negatif); transfer memakai nilai transfer
+      amount: lines.length > 0 ? lines.reduce((sum, line) => sum + line.amount, 0) : tx.total_amount,
+      total_amount: tx.total_amount,
+      category_id: single ? single.category_id : null,
+      category_name: single ? single.category_name : null,
+      category_type: lines.length > 0 ? lines[0].category_type : null,
+      category_icon: single ? single.category_icon : null,
+      is_split: lines.length > 1,
+      tags: tagRows.filter(tag => tag.transaction_id === tx.id).map(({ id, name, color }) => ({ id, name, color })),
+      splits: lines.map(line => ({
+        id: line.split_id,
+        category_id: line.category_id,
+        category_name: line.category_name,
+        category_type: line.category_type,
+        category_icon: line.category_icon,
+        amount: line.amount,
+        memo: line.memo
+      }))
+    };
+  });
+};
+
+// [BARU] Statement bersama untuk menulis split & menyesuaikan saldo akun
+// [BARU] guard (opsional): { sql, params } berisi kondisi EXISTS. Di dalam db.batch, pernyataan yang dijaga
+// hanya berlaku jika kondisinya masih benar, sehingga permintaan yang kalah balapan tidak mengubah apa pun.
+const guardClause = (guard) => (guard ? ` AND ${guard.sql}` : '');
+const guardParams = (guard) => (guard ? guard.params : []);
+// Transaksi masih pada versi tertentu (PUT dengan If-Match)
+const transactionVersionGuard = (txId, version) => ({ sql: 'EXISTS (SELECT 1 FROM transactions WHERE id = ? AND version = ?)', params: [txId, version] });
+// Transaksi masih aktif (deleted = false) atau masih di tempat sampah (deleted = true),
+// dan jika version diberikan, masih pada versi itu (DELETE dengan If-Match)
+const transactionTrashGuard = (txId, deleted, version) => ({
+  sql: `EXISTS (SELECT 1 FROM transactions WHERE id = ? AND deleted_at IS ${deleted ? 'NOT NULL' : 'NULL'}${version === undefined ? '' : ' AND version = ?'})`,
+  params: version === undefined ? [txId] : [txId, version]
+});
+
+const insertSplitStatements = (db, txId, splits, guard) => splits.map(split =>
+  db.prepare(`INSERT INTO transaction_splits (id, transaction_id, account_id, category_id, amount, type, memo) SELECT ?, ?, ?, ?, ?, ?, ? WHERE 1${guardClause(guard)}`)
+    .bind(`spl-${crypto.randomUUID()}`, txId, split.account_id, split.category_id, split.amount, split.type, split.memo || null, ...guardParams(guard))
+);
+// direction = -1 untuk membatalkan efek split lama (hapus/ubah transaksi)
+const balanceStatements = (db, splits, direction = 1, guard) => Object.entries(balanceEffects(splits))
+  .filter(([, delta]) => delta !== 0)
+  .map(([accountId, delta]) => db.prepare(`UPDATE accounts SET balance = balance + ? WHERE id = ?${guardClause(guard)}`)
+    .bind(delta * direction, accountId, ...guardParams(guard)));
+
+// [BARU] Ganti seluruh tag transaksi dengan daftar tag_ids
+const tagStatements = (db, txId, tagIds, guard) => [
+  db.prepare(`DELETE FROM transaction_tags WHERE transaction_id = ?${guardClause(guard)}`).bind(txId, ...guardParams(guard)),
+  ...[...new Set(tagIds.filter(Boolean))].map(tagId =>
+    db.prepare(`INSERT INTO transaction_tags (transaction_id, tag_id) SELECT ?, ? WHERE 1${guardClause(guard)}`).bind(txId, tagId, ...guardParams(guard)))
+];
+
+// [BARU] Satu transaksi dengan bentuk yang sama seperti item di daftar transaksi (split, tag, version)
+export const findTransactionById = async (db, bookId, txId) => {
+  const transaction = await db.prepare(`
+    SELECT t.id, t.type, t.description, t.transaction_date, t.created_at, t.contact_id, t.created_by, t.version, t.source_recurring_id, t.goal_id,
+      (SELECT SUM(s.amount) FROM transaction_splits s WHERE s.transaction_id = t.id AND s.amount > 0) as total_amount
+    FROM transactions t WHERE t.id = ? AND t.book_id = ? AND t.deleted_at IS NULL
+  `).bind(txId, bookId).first();
+  if (!transaction) return null;
+  return (await attachTransactionSplits(db, [transaction]))[0];
+};
+
+export const findTransactionSplits = async (db, transactionId) => {
+  return (await db.prepare('SELECT * FROM transaction_splits WHERE transaction_id = ? ORDER BY rowid').bind(transactionId).all()).results;
+};
+
+// [BARU] Statement untuk satu transaksi baru (dipakai createTransaction, batch & transaksi berulang).
+// source (opsional): { recurringId, dueDate } untuk transaksi yang diposting dari jadwal berulang.
+// Mengembalikan { transaction, statements } atau { error }.
+const createTransactionStatements = (db, data, userId, source = {}) => {
+  const built = buildTransactionSplits(data);
+  if (built.error) return { error: built.error };
+
   const newTxId = `tx-${crypto.randomUUID()}`;
-  
-  const batch = [
-    db.prepare('INSERT INTO transactions (id, book_id, contact_id, description, transaction_date, created_by) VALUES (?, ?, ?, ?, ?, ?)')
-      .bind(newTxId, data.book_id, data.contact_id || null, data.description, data.transaction_date, userId)
+  const statements = [
+    db.prepare('INSERT INTO transactions (id, book_id, type, contact_id, description, transaction_date, created_by, source_recurring_id, source_due_date, goal_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)')
+      .bind(newTxId, data.book_id, data.type, data.contact_id || null, data.description, data.transaction_date, userId, source.recurringId || null, source.dueDate || null, data.goal_id || null),
+    ...insertSplitStatements(db, newTxId, built.splits),
+    ...balanceStatements(db, built.splits),
+    ...(Array.isArray(data.tag_ids) ? tagStatements(db, newTxId, data.tag_ids) : [])
   ];
+  return { transaction: { id: newTxId, ...data, amount: built.amount, splits: built.splits }, statements };
+};
 
-  const sqlInsertSplit = `
-    INSERT INTO transaction_splits 
-    (id, transaction_id, account_id, category_id, amount, type) 
-    VALUES (?, ?, ?, ?, ?, ?)
-  `;
+export const createTransaction = async (db, data, userId) => {
+  const result = createTransactionStatements(db, data, userId);
+  if (result.error) return { error: result.error };
+  await db.batch(result.statements);
+  return result.transaction;
+};
 
-  if (data.type === 'EXPENSE') {
-    batch.push(
-      db.prepare(sqlInsertSplit)
-        .bind(`spl-${crypto.randomUUID()}`, newTxId, data.from_account_id, data.category_id, amount, 'DEBIT') // Pakai 'amount'
-    );
-    batch.push(
-      db.prepare(sqlInsertSplit)
-        .bind(`spl-${crypto.randomUUID()}`, newTxId, data.from_account_id, null, -amount, 'CREDIT') // Pakai '-amount'
-    );
-    batch.push(db.prepare("UPDATE accounts SET balance = balance - ? WHERE id = ?").bind(amount, data.from_account_id)); // Pakai 'amount'
-  
-  } else if (data.type === 'INCOME') {
-    batch.push(
-      db.prepare(sqlInsertSplit)
-        .bind(`spl-${crypto.randomUUID()}`, newTxId, data.to_account_id, null, amount, 'DEBIT') // Pakai 'amount'
-    );
-    batch.push(
-      db.prepare(sqlInsertSplit)
-        .bind(`spl-${crypto.randomUUID()}`, newTxId, data.to_account_id, data.category_id, -amount, 'CREDIT') // Pakai '-amount'
-    );
-    batch.push(db.prepare("UPDATE accounts SET balance = balance + ? WHERE id = ?").bind(amount, data.to_account_id)); // Pakai 'amount'
-  
-  } else if (data.type === 'TRANSFER') {
-    batch.push(
-      db.prepare(sqlInsertSplit)
-        .bind(`spl-${crypto.randomUUID()}`, newTxId, data.to_account_id, null, amount, 'DEBIT') // Pakai 'amount'
-    );
-    batch.push(
-      db.prepare(sqlInsertSplit)
-        .bind(`spl-${crypto.randomUUID()}`, newTxId, data.from_account_id, null, -amount, 'CREDIT') // Pakai '-amount'
-    );
-    batch.push(db.prepare("UPDATE accounts SET balance = balance + ? WHERE id = ?").bind(amount, data.to_account_id)); // Pakai 'amount'
-    batch.push(db.prepare("UPDATE accounts SET balance = balance - ? WHERE id = ?").bind(amount, data.from_account_id)); // Pakai 'amount'
-  
-  } else { 
-    return { error: 'Invalid transaction type' }; 
+// [BARU] Validasi satu item batch tanpa menyimpan apa pun: { error } atau { success: true }
+export const validateTransactionData = (data) => {
+  if (!data.description || !data.transaction_date) {
+    return { error: 'Description and transaction_date are required' };
   }
-  
-  await db.batch(batch);
-  return { id: newTxId, ...data };
+  const built = buildTransactionSplits(data);
+  return built.error ? { error: built.error } : { success: true };
 };
 
-export const deleteTransaction = async (db, transactionId) => {
-  const splits = (await db.prepare('SELECT * FROM transaction_splits WHERE transaction_id = ?').bind(transactionId).all()).results;
+// [BARU] Simpan banyak transaksi dalam satu db.batch (semua tersimpan atau tidak sama sekali).
+// scanAttachment (opsional): foto struk dari /scan. Baris lampirannya dipakai transaksi pertama,
+// transaksi lain mendapat salinan yang menunjuk file R2 yang sama.
+export const createTransactionsBatch = async (db, items, userId, { scanAttachment } = {}) => {
+  const statements = [];
+  const transactions = [];
+  for (const item of items) {
+    const result = createTransactionStatements(db, item, userId);
+    if (result.error) return { error: result.error };
+    statements.push(...result.statements);
+    transactions.push(result.transaction);
+  }
+
+  if (scanAttachment) {
+    transactions.forEach((transaction, index) => {
+      statements.push(index === 0
+        ? db.prepare('UPDATE attachments SET transaction_id = ? WHERE id = ?').bind(transaction.id, scanAttachment.id)
+        : db.prepare('INSERT INTO attachments (id, book_id, transaction_id, r2_key, file_name, mime_type, size, source, uploaded_by) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)')
+          .bind(`att-${crypto.randomUUID()}`, scanAttachment.book_id, transaction.id, scanAttachment.r2_key, scanAttachment.file_name, scanAttachment.mime_type, scanAttachment.size, 'SCAN', scanAttachment.uploaded_by));
+    });
+  }
+
+  await db.batch(statements);
+  return { transactions };
+};
+
+// [DIUBAH] Hapus = pindah ke tempat sampah. Efek saldo dibatalkan sekarang dan diterapkan lagi saat dipulihkan.
+export const softDeleteTransaction = async (db, transactionId, userId, expectedVersion) => {
+  const splits = await findTransactionSplits(db, transactionId);
   if (!splits || splits.length === 0) return { error: "Transaction not found or has no splits."};
-  const batch = [];
-  for (const split of splits) {
-    if (split.account_id) {
-        batch.push(db.prepare("UPDATE accounts SET balance = balance - ? WHERE id = ?").bind(split.amount, split.account_id));
-    }
+  // [PERBAIKAN] Kembalikan saldo dari kaki akun saja (sebelumnya debit & kredit saling menghapus sehingga saldo tidak pulih)
+  // [PERBAIKAN] Saldo hanya dibatalkan jika transaksi masih aktif saat batch berjalan, dan penanda
+  // dihapus diubah sesudahnya. Dua DELETE bersamaan tidak membatalkan saldo dua kali.
+  // [BARU] Hanya jika versinya masih expectedVersion (If-Match); yang kalah balapan mendapat { conflict: true }
+  const guard = transactionTrashGuard(transactionId, false, expectedVersion);
+  const batch = [
+    ...balanceStatements(db, splits, -1, guard),
+    db.prepare("UPDATE transactions SET deleted_at = datetime('now','localtime'), deleted_by = ?, version = version + 1 WHERE id = ? AND deleted_at IS NULL AND version = ?")
+      .bind(userId, transactionId, expectedVersion)
+  ];
+  const results = await db.batch(batch);
+  if (results[results.length - 1].meta.changes === 0) return { conflict: true };
+  return { success: true };
+};
+
+export const restoreTransaction = async (db, transactionId) => {
+  const splits = await findTransactionSplits(db, transactionId);
+  // Saldo hanya bisa diterapkan lagi jika semua akunnya masih ada
+  const accountIds = [...new Set(splits.map(split => split.account_id).filter(Boolean))];
+  const placeholders = accountIds.map(() => '?').join(', ');
+  const existing = accountIds.length > 0
+    ? await db.prepare(`SELECT COUNT(*) as total FROM accounts WHERE id IN (${placeholders})`).bind(...accountIds).first('total')
+    : 0;
+  if (existing !== accountIds.length) {
+    return { error: 'An account used by this transaction no longer exists.' };
   }
-  batch.push(db.prepare('DELETE FROM transaction_splits WHERE transaction_id = ?').bind(transactionId));
-  batch.push(db.prepare('DELETE FROM transactions WHERE id = ?').bind(transactionId));
-  await db.batch(batch);
+  // [PERBAIKAN] Sama seperti hapus lunak: saldo hanya diterapkan jika transaksi masih di tempat sampah
+  const guard = transactionTrashGuard(transactionId, true);
+  const results = await db.batch([
+    ...balanceStatements(db, splits, 1, guard),
+    db.prepare('UPDATE transactions SET deleted_at = NULL, deleted_by = NULL, version = version + 1 WHERE id = ? AND deleted_at IS NOT NULL').bind(transactionId)
+  ]);
+  if (results[results.length - 1].meta.changes === 0) return { notFound: true };
   return { success: true };
 };
 
-// ... (setelah deleteTransaction)
+// Hapus permanen transaksi yang sudah di tempat sampah (saldo sudah dibatalkan saat dihapus lunak)
+const purgeTransactionStatements = (db, transactionId) => [
+  db.prepare('DELETE FROM transaction_splits WHERE transaction_id = ?').bind(transactionId),
+  db.prepare('DELETE FROM transaction_tags WHERE transaction_id = ?').bind(transactionId),
+  db.prepare('DELETE FROM attachments WHERE transaction_id = ?').bind(transactionId),
+  db.prepare('DELETE FROM transactions WHERE id = ?').bind(transactionId)
+];
+export const purgeTransaction = async (db, transactionId) => {
+  return await db.batch(purgeTransactionStatements(db, transactionId));
+};
 
-export const updateTransaction = async (db, txId, data, userId) => {
-  const newAmount = Math.round(data.amount);
-  if (!newAmount || newAmount <= 0) return { error: 'Invalid amount' };
+export const updateTransaction = async (db, txId, data, userId, expectedVersion) => {
+  const built = buildTransactionSplits(data);
+  if (built.error) return { error: built.error };
 
   // 1. Dapatkan split lama untuk mengembalikan saldo
-  const oldSplits = (await db.prepare('SELECT * FROM transaction_splits WHERE transaction_id = ?').bind(txId).all()).results;
+  const oldSplits = await findTransactionSplits(db, txId);
   if (!oldSplits || oldSplits.length === 0) return { error: "Transaction not found or has no splits."};
 
-  const batch = [];
-
-  // 2. Kembalikan saldo akun lama
-  for (const split of oldSplits) {
-    if (split.account_id) {
-        batch.push(db.prepare("UPDATE accounts SET balance = balance - ? WHERE id = ?").bind(split.amount, split.account_id));
-    }
-  }
-
-  // 3. Hapus split lama
-  batch.push(db.prepare('DELETE FROM transaction_splits WHERE transaction_id = ?').bind(txId));
-
-  // 4. Perbarui data transaksi utama
-  batch.push(
-    db.prepare('UPDATE transactions SET contact_id = ?, description = ?, transaction_date = ?, updated_at = datetime("now","localtime"), updated_by = ? WHERE id = ?')
-      .bind(data.contact_id || null, data.description, data.transaction_date, userId, txId)
-  );
-  
-  // 5. Buat split baru (logika disalin dari createTransaction)
-  const sqlInsertSplit = `
-    INSERT INTO transaction_splits 
-    (id, transaction_id, account_id, category_id, amount, type) 
-    VALUES (?, ?, ?, ?, ?, ?)
-  `;
-
-  if (data.type === 'EXPENSE') {
-    batch.push(
-      db.prepare(sqlInsertSplit)
-        .bind(`spl-${crypto.randomUUID()}`, txId, data.from_account_id, data.category_id, newAmount, 'DEBIT')
-    );
-    batch.push(
-      db.prepare(sqlInsertSplit)
-        .bind(`spl-${crypto.randomUUID()}`, txId, data.from_account_id, null, -newAmount, 'CREDIT')
-    );
-    batch.push(db.prepare("UPDATE accounts SET balance = balance - ? WHERE id = ?").bind(newAmount, data.from_account_id));
-  
-  } else if (data.type === 'INCOME') {
-    batch.push(
-      db.prepare(sqlInsertSplit)
-        .bind(`spl-${crypto.randomUUID()}`, txId, data.to_account_id, null, newAmount, 'DEBIT')
-    );
-    batch.push(
-      db.prepare(sqlInsertSplit)
-        .bind(`spl-${crypto.randomUUID()}`, txId, data.to_account_id, data.category_id, -newAmount, 'CREDIT')
-    );
-    batch.push(db.prepare("UPDATE accounts SET balance = balance + ? WHERE id = ?").bind(newAmount, data.to_account_id));
-  
-  } else if (data.type === 'TRANSFER') {
-    // (Logika transfer tidak diubah)
-    batch.push(
-      db.prepare(sqlInsertSplit)
-        .bind(`spl-${crypto.randomUUID()}`, txId, data.to_account_id, null, newAmount, 'DEBIT')
-    );
-    batch.push(
-      db.prepare(sqlInsertSplit)
-        .bind(`spl-${crypto.randomUUID()}`, txId, data.from_account_id, null, -newAmount, 'CREDIT')
-    );
-    batch.push(db.prepare("UPDATE accounts SET balance = balance + ? WHERE id = ?").bind(newAmount, data.to_account_id));
-    batch.push(db.prepare("UPDATE accounts SET balance = balance - ? WHERE id = ?").bind(newAmount, data.from_account_id));
-  
-  } else { 
-    return { error: 'Invalid transaction type' }; 
-  }
+  // Semua langkah dijalankan sebagai satu transaksi:
+  // perbarui transaksi utama, batalkan saldo lama, ganti split, terapkan saldo baru.
+  // [PERBAIKAN] Setiap langkah hanya berlaku jika transaksi masih pada expectedVersion, dan versi baru
+  // ditulis paling akhir. Permintaan kedua dengan ETag yang sama tidak mengubah apa pun (saldo tidak
+  // dibatalkan dua kali, split lama yang dibaca di atas pasti masih berlaku).
+  const guard = transactionVersionGuard(txId, expectedVersion);
+  const batch = [
+    db.prepare('UPDATE transactions SET type = ?, contact_id = ?, goal_id = ?, description = ?, transaction_date = ?, updated_at = datetime("now","localtime"), updated_by = ? WHERE id = ? AND version = ?')
+      .bind(data.type, data.contact_id || null, data.goal_id || null, data.description, data.transaction_date, userId, txId, expectedVersion),
+    ...balanceStatements(db, oldSplits, -1, guard),
+    db.prepare(`DELETE FROM transaction_splits WHERE transaction_id = ?${guardClause(guard)}`).bind(txId, ...guardParams(guard)),
+    ...insertSplitStatements(db, txId, built.splits, guard),
+    ...balanceStatements(db, built.splits, 1, guard),
+    // Tag hanya diganti jika 'tag_ids' dikirim
+    ...(Array.isArray(data.tag_ids) ? tagStatements(db, txId, data.tag_ids, guard) : []),
+    db.prepare('UPDATE transactions SET version = version + 1 WHERE id = ? AND version = ?').bind(txId, expectedVersion)
+  ];
   
-  // Jalankan semua operasi sebagai satu transaksi
-  await db.batch(batch);
-  return { id: txId, ...data };
+  const results = await db.batch(batch);
+  if (results[0].meta.changes === 0) return { conflict: true };
+  return { id: txId, ...data, amount: built.amount, splits: built.splits };
 };
 
 // --- [DIUBAH TOTAL] Logika untuk Book Summary ---
@@ -438,8 +1284,8 @@ export const getBookSummary = async (db, bookId, filters = {}) => { // <-- [PERB
     }
     // [AKHIR PERBAIKAN]
 
-    const incomeQuery = `SELECT ABS(SUM(s.amount)) as total FROM transaction_splits s JOIN categories c ON s.category_id = c.id JOIN transactions t ON s.transaction_id = t.id WHERE t.book_id = ? AND c.type = 'INCOME' AND t.transaction_date BETWEEN ? AND ?`;
-    const expenseQuery = `SELECT ABS(SUM(s.amount)) as total FROM transaction_splits s JOIN categories c ON s.category_id = c.id JOIN transactions t ON s.transaction_id = t.id WHERE t.book_id = ? AND c.type = 'EXPENSE' AND t.transaction_date BETWEEN ? AND ?`;
+    const incomeQuery = `SELECT ABS(SUM(s.amount)) as total FROM transaction_splits s JOIN categories c ON s.category_id = c.id JOIN transactions t ON s.transaction_id = t.id WHERE t.book_id = ? AND t.deleted_at IS NULL AND c.type = 'INCOME' AND t.transaction_date BETWEEN ? AND ?`;
+    const expenseQuery = `SELECT ABS(SUM(s.amount)) as total FROM transaction_splits s JOIN categories c ON s.category_id = c.id JOIN transactions t ON s.transaction_id = t.id WHERE t.book_id = ? AND t.deleted_at IS NULL AND c.type = 'EXPENSE' AND t.transaction_date BETWEEN ? AND ?`;
     const monthlyIncomeResult = await db.prepare(incomeQuery).bind(bookId, startDate, endDate).first('total');
     const monthlyExpenseResult = await db.prepare(expenseQuery).bind(bookId, startDate, endDate).first('total');
     return { assets: assetsResult || 0, liabilities: liabilitiesResult || 0, net_worth: (assetsResult || 0) - (liabilitiesResult || 0), monthly_income: monthlyIncomeResult || 0, monthly_expense: monthlyExpenseResult || 0 };
@@ -447,17 +1293,37 @@ export const getBookSummary = async (db, bookId, filters = {}) => { // <-- [PERB
 
 // --- [BARU] Query untuk Laporan, Anggaran, Pengaturan, dll ---
 export const getExpenseReportByCategory = async (db, bookId, filters = {}) => {
-  let query = `SELECT c.name as category_name, c.id as category_id, SUM(s.amount) as total_amount FROM transaction_splits s JOIN categories c ON s.category_id = c.id JOIN transactions t ON s.transaction_id = t.id WHERE t.book_id = ? AND c.type = 'EXPENSE'`;
+  let query = `SELECT c.name as category_name, c.id as category_id, SUM(s.amount) as total_amount FROM transaction_splits s JOIN categories c ON s.category_id = c.id JOIN transactions t ON s.transaction_id = t.id WHERE t.book_id = ? AND t.deleted_at IS NULL AND c.type = 'EXPENSE'`;
   const params = [bookId];
   if (filters.startDate && filters.endDate) { query += ' AND t.transaction_date BETWEEN ? AND ?'; params.push(filters.startDate, filters.endDate); }
   query += ' GROUP BY c.id, c.name ORDER BY total_amount DESC';
   return (await db.prepare(query).bind(...params).all()).results;
 };
 
+// [BARU] Pengeluaran per tag. Satu transaksi bisa punya beberapa tag, jadi totalnya bisa tumpang tindih antar tag.
+export const getExpenseReportByTag = async (db, bookId, filters = {}) => {
+  let query = `SELECT tg.name as tag_name, tg.id as tag_id, tg.color as tag_color, SUM(s.amount) as total_amount, COUNT(DISTINCT t.id) as transaction_count FROM transaction_tags tt JOIN tags tg ON tt.tag_id = tg.id JOIN transactions t ON tt.transaction_id = t.id JOIN transaction_splits s ON s.transaction_id = t.id JOIN categories c ON s.category_id = c.id WHERE t.book_id = ? AND t.deleted_at IS NULL AND c.type = 'EXPENSE'`;
+  const params = [bookId];
+  if (filters.startDate && filters.endDate) { query += ' AND t.transaction_date BETWEEN ? AND ?'; params.push(filters.startDate, filters.endDate); }
+  query += ' GROUP BY tg.id, tg.name ORDER BY total_amount DESC';
+  return (await db.prepare(query).bind(...params).all()).results;
+};
+
+// [BARU] Satu anggaran beserta ID kategorinya
+export const findBudgetById = async (db, bookId, budgetId) => {
+  const budget = await db.prepare('SELECT * FROM budgets WHERE id = ? AND book_id = ?').bind(budgetId, bookId).first();
+  if (!budget) return null;
+  const { results } = await db.prepare('SELECT category_id FROM budget_categories WHERE budget_id = ? ORDER BY category_id').bind(budgetId).all();
+  return { ...budget, category_ids: results.map(row => row.category_id) };
+};
+
+// [BARU] alert_thresholds disimpan sebagai JSON; null/undefined = ambang bawaan
+const serializeAlertThresholds = (thresholds) => (Array.isArray(thresholds) ? JSON.stringify(thresholds) : null);
+
 export const findBudgetsByBookId = async (db, bookId) => {
   const query = `
-    SELECT b.id, b.name, b.amount, b.period, b.start_date,
-      (SELECT GROUP_CONCAT(c.name) FROM budget_categories bc JOIN categories c ON bc.category_id = c.id WHERE bc.budget_id = b.id) as categories
+    SELECT b.id, b.name, b.amount, b.period, b.start_date, b.carry_over, b.alert_thresholds, b.alert_email, b.version,
+      (SELECT GROUP_CONCAT(c.name) FROM budget_categories bc JOIN categories c ON bc.category_id = c.id WHERE bc.budget_id = b.id AND c.deleted_at IS NULL) as categories
     FROM budgets b WHERE b.book_id = ?`;
   return (await db.prepare(query).bind(bookId).all()).results;
 };
@@ -465,8 +1331,9 @@ export const createBudget = async (db, data) => {
   const newBudgetId = `b-${crypto.randomUUID()}`;
   const amountInCents = Math.round(data.amount * 100);
   const batch = [
-    db.prepare('INSERT INTO budgets (id, book_id, name, amount, period, start_date) VALUES (?, ?, ?, ?, ?, ?)')
-      .bind(newBudgetId, data.book_id, data.name, amountInCents, data.period, data.start_date)
+    db.prepare('INSERT INTO budgets (id, book_id, name, amount, period, start_date, carry_over, alert_thresholds, alert_email) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)')
+      .bind(newBudgetId, data.book_id, data.name, amountInCents, data.period, data.start_date || null, data.carry_over ? 1 : 0,
+        serializeAlertThresholds(data.alert_thresholds), data.alert_email ? 1 : 0)
   ];
   if (data.categoryIds && data.categoryIds.length > 0) {
     for (const categoryId of data.categoryIds) {
@@ -476,18 +1343,142 @@ export const createBudget = async (db, data) => {
   await db.batch(batch);
   return { id: newBudgetId, ...data };
 };
-export const deleteBudget = async (db, budgetId) => {
-  return await db.prepare('DELETE FROM budgets WHERE id = ?').bind(budgetId).run();
+// [BARU] Ubah anggaran; categoryIds (jika dikirim) menggantikan seluruh kategori anggaran
+// Hanya tersimpan jika anggaran masih pada expectedVersion; kategori diganti dalam batch yang sama
+// dan versi baru ditulis paling akhir. Mengembalikan { conflict: true } jika versinya sudah berubah.
+export const updateBudget = async (db, budgetId, data, expectedVersion) => {
+  const guard = 'EXISTS (SELECT 1 FROM budgets WHERE id = ? AND version = ?)';
+  const batch = [
+    db.prepare('UPDATE budgets SET name = ?, amount = ?, period = ?, start_date = ?, carry_over = ?, alert_thresholds = ?, alert_email = ? WHERE id = ? AND version = ?')
+      .bind(data.name, Math.round(data.amount * 100), data.period, data.start_date || null, data.carry_over ? 1 : 0,
+        serializeAlertThresholds(data.alert_thresholds), data.alert_email ? 1 : 0, budgetId, expectedVersion)
+  ];
+  if (Array.isArray(data.categoryIds)) {
+    batch.push(db.prepare(`DELETE FROM budget_categories WHERE budget_id = ? AND ${guard}`).bind(budgetId, budgetId, expectedVersion));
+    for (const categoryId of data.categoryIds) {
+      batch.push(db.prepare(`INSERT INTO budget_categories (budget_id, category_id) SELECT ?, ? WHERE ${guard}`).bind(budgetId, categoryId, budgetId, expectedVersion));
+    }
+  }
+  batch.push(db.prepare('UPDATE budgets SET version = version + 1 WHERE id = ? AND version = ?').bind(budgetId, expectedVersion));
+  const results = await db.batch(batch);
+  if (results[0].meta.changes === 0) return { conflict: true };
+  return { id: budgetId, ...data };
+};
+// [BARU] Progres anggaran dari periode pertama sampai periode yang memuat asOf (urut dari yang terlama).
+// Pengeluaran = split kategori EXPENSE milik anggaran; nominal dalam sen.
+export const findBudgetPeriods = async (db, budget, { startOfMonth, asOf }) => {
+  const ranges = budgetPeriodRanges(budget, { startOfMonth, asOf });
+  // transaction_date bisa berisi jam, jadi dibandingkan per tanggal dengan batas akhir eksklusif
+  const { results } = await db.prepare(`
+    SELECT substr(t.transaction_date, 1, 10) as date, SUM(s.amount) * 100 as amount
+    FROM transaction_splits s
+    JOIN budget_categories bc ON bc.category_id = s.category_id AND bc.budget_id = ?
+    JOIN categories c ON s.category_id = c.id
+    JOIN transactions t ON s.transaction_id = t.id
+    WHERE t.deleted_at IS NULL AND c.type = 'EXPENSE' AND t.transaction_date >= ? AND t.transaction_date < ?
+    GROUP BY substr(t.transaction_date, 1, 10) ORDER BY date`)
+    .bind(budget.id, ranges[0].start_date, ranges[ranges.length - 1].next_start_date).all();
+  return summarizeBudgetPeriods(budget, ranges, results);
+};
+// [BARU] Anggaran yang memuat salah satu kategori (untuk peringatan setelah transaksi disimpan)
+export const findBudgetsByCategoryIds = async (db, bookId, categoryIds) => {
+  if (categoryIds.length === 0) return [];
+  const { results } = await db.prepare(`
+    SELECT DISTINCT b.* FROM budgets b JOIN budget_categories bc ON bc.budget_id = b.id
+    WHERE b.book_id = ? AND bc.category_id IN (${categoryIds.map(() => '?').join(', ')})`)
+    .bind(bookId, ...categoryIds).all();
+  return results;
+};
+// [BARU] Catat ambang yang terlewati pada periode ini. Mengembalikan ambang yang baru dicatat
+// (yang sudah pernah dikirim di periode yang sama diabaikan).
+export const claimBudgetAlerts = async (db, budgetId, periodStart, thresholds, percentage) => {
+  if (thresholds.length === 0) return [];
+  const results = await db.batch(thresholds.map(threshold => db.prepare(
+    'INSERT OR IGNORE INTO budget_alerts (budget_id, period_start, threshold, percentage) VALUES (?, ?, ?, ?) RETURNING threshold'
+  ).bind(budgetId, periodStart, threshold, percentage)));
+  return results.flatMap(result => result.results.map(row => row.threshold));
+};
+// [BARU] Hanya jika versinya masih expectedVersion (If-Match), selain itu { conflict: true }
+export const deleteBudget = async (db, budgetId, expectedVersion) => {
+  const result = await db.prepare('DELETE FROM budgets WHERE id = ? AND version = ?').bind(budgetId, expectedVersion).run();
+  if (result.meta.changes === 0) return { conflict: true };
+  return { success: true };
 };
 
 export const findRecurringTransactionsByBookId = async (db, bookId) => {
-    return (await db.prepare('SELECT * FROM recurring_transactions WHERE book_id = ? AND is_active = 1').bind(bookId).all()).results;
+    return (await db.prepare('SELECT * FROM recurring_transactions WHERE book_id = ? AND is_active = 1 ORDER BY next_due_date ASC').bind(bookId).all()).results;
 };
-export const createRecurringTransaction = async (db, data) => {
+export const createRecurringTransaction = async (db, data, userId) => {
     const newId = `rt-${crypto.randomUUID()}`;
     const amountInCents = Math.round(data.amount * 100);
-    await db.prepare(`INSERT INTO recurring_transactions (id, book_id, description, amount, type, frequency, start_date, next_due_date, category_id, from_account_id, to_account_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`).bind(newId, data.book_id, data.description, amountInCents, data.type, data.frequency, data.start_date, data.next_due_date, data.category_id, data.from_account_id, data.to_account_id).run();
-    return { id: newId, ...data };
+    // [DIUBAH] Jadwal pertama default ke start_date; created_by dipakai untuk transaksi hasil posting
+    await db.prepare(`INSERT INTO recurring_transactions (id, book_id, description, amount, type, frequency, start_date, next_due_date, category_id, from_account_id, to_account_id, created_by) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`).bind(newId, data.book_id, data.description, amountInCents, data.type, data.frequency, data.start_date, data.next_due_date || data.start_date, data.category_id || null, data.from_account_id || null, data.to_account_id || null, userId).run();
+    return { id: newId, ...data, next_due_date: data.next_due_date || data.start_date };
+};
+// [BARU] Field yang tidak dikirim tetap memakai nilai lama
+export const updateRecurringTransaction = async (db, rtId, data) => {
+    const current = await db.prepare('SELECT * FROM recurring_transactions WHERE id = ?').bind(rtId).first();
+    const updated = { ...current, ...data, amount: data.amount != null ? Math.round(data.amount * 100) : current.amount };
+    await db.prepare(`UPDATE recurring_transactions SET description = ?, amount = ?, type = ?, frequency = ?, start_date = ?, next_due_date = ?, category_id = ?, from_account_id = ?, to_account_id = ?, last_error = NULL WHERE id = ?`)
+        .bind(updated.description, updated.amount, updated.type, updated.frequency, updated.start_date, updated.next_due_date, updated.category_id || null, updated.from_account_id || null, updated.to_account_id || null, rtId).run();
+    return updated;
+};
+// [BARU] Jeda / lanjutkan. Saat dilanjutkan, nextDueDate melewati jadwal selama jeda (tidak diposting susulan).
+export const pauseRecurringTransaction = async (db, rtId) => {
+    return await db.prepare("UPDATE recurring_transactions SET paused_at = datetime('now','localtime') WHERE id = ?").bind(rtId).run();
+};
+export const resumeRecurringTransaction = async (db, rtId, nextDueDate) => {
+    return await db.prepare('UPDATE recurring_transactions SET paused_at = NULL, next_due_date = ?, last_error = NULL WHERE id = ?').bind(nextDueDate, rtId).run();
+};
+
+// --- [BARU] Mesin Transaksi Berulang (dipakai job terjadwal) ---
+export const findDueRecurringTransactions = async (db, today) => {
+    return (await db.prepare(`
+        SELECT rt.* FROM recurring_transactions rt JOIN books b ON rt.book_id = b.id
+        WHERE rt.is_active = 1 AND rt.paused_at IS NULL AND rt.next_due_date <= ? AND b.deleted_at IS NULL
+        ORDER BY rt.next_due_date ASC
+    `).bind(today).all()).results;
+};
+
+/**
+ * Posting satu jadwal (dueDate) menjadi transaksi lewat logika yang sama dengan createTransaction,
+ * lalu majukan next_due_date dalam db.batch yang sama. Mengembalikan { transaction }, { duplicate } atau { error }.
+ */
+export const postRecurringOccurrence = async (db, rt, dueDate, nextDueDate) => {
+    const data = {
+        book_id: rt.book_id,
+        type: rt.type,
+        description: rt.description,
+        transaction_date: dueDate,
+        amount: rt.amount / 100, // recurring_transactions menyimpan sen
+        category_id: rt.category_id,
+        from_account_id: rt.from_account_id,
+        to_account_id: rt.to_account_id
+    };
+    const references = await validateBookReferences(db, rt.book_id, {
+        account: [rt.from_account_id, rt.to_account_id],
+        category: [rt.category_id]
+    });
+    if (references.error) return { error: references.error };
+
+    const result = createTransactionStatements(db, data, rt.created_by, { recurringId: rt.id, dueDate });
+    if (result.error) return { error: result.error };
+
+    const advance = db.prepare("UPDATE recurring_transactions SET next_due_date = ?, last_posted_at = datetime('now','localtime'), last_error = NULL WHERE id = ?")
+        .bind(nextDueDate, rt.id);
+    try {
+        await db.batch([...result.statements, advance]);
+    } catch (error) {
+        // Jadwal ini sudah pernah diposting (indeks unik sumber): cukup majukan jadwalnya
+        if (!String(error.message).includes('UNIQUE')) throw error;
+        await advance.run();
+        return { duplicate: true };
+    }
+    return { transaction: result.transaction };
+};
+
+export const recordRecurringFailure = async (db, rtId, message) => {
+    return await db.prepare('UPDATE recurring_transactions SET last_error = ? WHERE id = ?').bind(message, rtId).run();
 };
 export const deleteRecurringTransaction = async (db, rtId) => {
     return await db.prepare('DELETE FROM recurring_transactions WHERE id = ?').bind(rtId).run();
@@ -506,19 +1497,20 @@ export const findSettingsByBookId = async (db, bookId) => {
             button_position: 'bottom_right',
             calculator_layout: 'default',
             sound_effects_enabled: 1,
-            haptic_feedback_enabled: 1
+            haptic_feedback_enabled: 1,
+            version: 1 // [BARU] Baris pertama yang disimpan akan mendapat versi 2
         };
     }
     return settings;
 };
-export const updateSettings = async (db, bookId, data) => {
+export const updateSettings = async (db, bookId, data, expectedVersion) => {
     // Ambil pengaturan saat ini untuk mengisi nilai yang mungkin tidak dikirim dari frontend
     const currentSettings = await findSettingsByBookId(db, bookId);
-    const newSettings = { ...currentSettings, ...data };
+    const newSettings = { ...currentSettings, ...data, version: currentSettings.version + 1 };
 
-    await db.prepare(`
-        INSERT INTO book_settings (book_id, start_of_month, theme, language, button_position, calculator_layout, sound_effects_enabled, haptic_feedback_enabled) 
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    const result = await db.prepare(`
+        INSERT INTO book_settings (book_id, start_of_month, theme, language, button_position, calculator_layout, sound_effects_enabled, haptic_feedback_enabled, version) 
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
         ON CONFLICT(book_id) DO UPDATE SET
         start_of_month = excluded.start_of_month,
         theme = excluded.theme,
@@ -526,7 +1518,9 @@ export const updateSettings = async (db, bookId, data) => {
         button_position = excluded.button_position,
         calculator_layout = excluded.calculator_layout,
         sound_effects_enabled = excluded.sound_effects_enabled,
-        haptic_feedback_enabled = excluded.haptic_feedback_enabled
+        haptic_feedback_enabled = excluded.haptic_feedback_enabled,
+        version = book_settings.version + 1
+        WHERE book_settings.version = ?
     `).bind(
         bookId, 
         newSettings.start_of_month, 
@@ -535,8 +1529,12 @@ export const updateSettings = async (db, bookId, data) => {
         newSettings.button_position,
         newSettings.calculator_layout,
         newSettings.sound_effects_enabled,
-        newSettings.haptic_feedback_enabled
+        newSettings.haptic_feedback_enabled,
+        newSettings.version,
+        expectedVersion
     ).run();
+    // [BARU] Baris sudah diubah orang lain sejak If-Match dicek
+    if (result.meta.changes === 0) return { conflict: true };
     
     return { book_id: bookId, ...newSettings };
 };
@@ -544,49 +1542,220 @@ export const updateSettings = async (db, bookId, data) => {
 export const findRemindersByBookId = async (db, bookId) => {
     return (await db.prepare('SELECT * FROM reminders WHERE book_id = ? AND is_active = 1 ORDER BY reminder_date ASC').bind(bookId).all()).results;
 };
-export const createReminder = async (db, data) => {
+export const createReminder = async (db, data, userId) => {
     const newId = `rem-${crypto.randomUUID()}`;
     const amountInCents = data.amount ? Math.round(data.amount * 100) : null;
-    await db.prepare('INSERT INTO reminders (id, book_id, description, amount, reminder_date) VALUES (?, ?, ?, ?, ?)')
-        .bind(newId, data.book_id, data.description, amountInCents, data.reminder_date).run();
-    return { id: newId, ...data };
+    // [DIUBAH] frequency (opsional) untuk pengingat berulang; reminder_date pertama menjadi jangkar jadwal
+    await db.prepare('INSERT INTO reminders (id, book_id, description, amount, reminder_date, frequency, start_date, created_by) VALUES (?, ?, ?, ?, ?, ?, ?, ?)')
+        .bind(newId, data.book_id, data.description, amountInCents, data.reminder_date, data.frequency || null, data.reminder_date, userId).run();
+    return { id: newId, ...data, frequency: data.frequency || null };
 };
+// data berisi seluruh field (route menggabungkan body dengan data tersimpan)
 export const updateReminder = async (db, reminderId, data) => {
-    const amountInCents = data.amount ? Math.round(data.amount * 100) : null;
-    await db.prepare('UPDATE reminders SET description = ?, amount = ?, reminder_date = ?, is_active = ? WHERE id = ?')
-        .bind(data.description, amountInCents, data.reminder_date, data.is_active, reminderId).run();
+    const amountInCents = data.amount != null ? Math.round(data.amount * 100) : null;
+    // [DIUBAH] Tanggal baru = jadwal baru: jangkar diganti dan status kirim/tunda direset
+    await db.prepare(`
+        UPDATE reminders SET description = ?, amount = ?, is_active = ?, frequency = ?,
+            start_date = CASE WHEN reminder_date = ? THEN start_date ELSE ? END,
+            last_notified_for = CASE WHEN reminder_date = ? THEN last_notified_for ELSE NULL END,
+            snoozed_until = CASE WHEN reminder_date = ? THEN snoozed_until ELSE NULL END,
+            reminder_date = ?
+        WHERE id = ?
+    `).bind(data.description, amountInCents, data.is_active ? 1 : 0, data.frequency || null,
+        data.reminder_date, data.reminder_date, data.reminder_date, data.reminder_date, data.reminder_date, reminderId).run();
     return { id: reminderId, ...data };
 };
+// [BARU] Selesai: pengingat sekali dinonaktifkan; pengingat berulang maju ke jadwal berikutnya (nextDate).
+// last_notified_for dikosongkan agar 'selesai' berikutnya dianggap membayar jadwal nextDate lebih awal.
+export const completeReminder = async (db, reminderId, nextDate) => {
+    if (!nextDate) {
+        return await db.prepare("UPDATE reminders SET is_active = 0, snoozed_until = NULL, completed_at = datetime('now','localtime') WHERE id = ?").bind(reminderId).run();
+    }
+    return await db.prepare("UPDATE reminders SET reminder_date = ?, snoozed_until = NULL, last_notified_for = NULL, completed_at = datetime('now','localtime') WHERE id = ?").bind(nextDate, reminderId).run();
+};
+export const snoozeReminder = async (db, reminderId, until) => {
+    return await db.prepare('UPDATE reminders SET snoozed_until = ? WHERE id = ?').bind(until, reminderId).run();
+};
+
+// --- [BARU] Pengiriman Pengingat (dipakai job terjadwal) ---
+// Jatuh tempo = snoozed_until jika ditunda, selain itu reminder_date. Setiap tanggal hanya dikirim sekali.
+export const findDueReminders = async (db, today) => {
+    return (await db.prepare(`
+        SELECT r.*, COALESCE(r.snoozed_until, r.reminder_date) as due_date, b.name as book_name
+        FROM reminders r JOIN books b ON r.book_id = b.id
+        WHERE r.is_active = 1 AND b.deleted_at IS NULL
+          AND COALESCE(r.snoozed_until, r.reminder_date) <= ?
+          AND (r.last_notified_for IS NULL OR r.last_notified_for != COALESCE(r.snoozed_until, r.reminder_date))
+        ORDER BY due_date ASC
+    `).bind(today).all()).results;
+};
+// Setelah dikirim: tandai jadwal yang sudah terkirim, hapus tunda, dan (untuk pengingat berulang) majukan reminder_date
+export const markReminderNotified = async (db, reminderId, { notifiedFor, reminderDate }) => {
+    return await db.prepare('UPDATE reminders SET last_notified_for = ?, snoozed_until = NULL, reminder_date = ? WHERE id = ?')
+        .bind(notifiedFor, reminderDate, reminderId).run();
+};
 export const deleteReminder = async (db, reminderId) => {
     return await db.prepare('DELETE FROM reminders WHERE id = ?').bind(reminderId).run();
 };
 
+// --- [BARU] Notifikasi di Aplikasi ---
+// Mengembalikan user_id yang benar-benar mendapat notifikasi baru (yang duplikat menurut dedupe_key dilewati)
+export const createNotifications = async (db, notifications) => {
+    if (notifications.length === 0) return [];
+    const results = await db.batch(notifications.map(n => db.prepare(`
+        INSERT OR IGNORE INTO notifications (id, user_id, book_id, type, title, body, entity_type, entity_id, dedupe_key)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?) RETURNING user_id
+    `).bind(`ntf-${crypto.randomUUID()}`, n.user_id, n.book_id || null, n.type, n.title, n.body || null, n.entity_type || null, n.entity_id || null, n.dedupe_key || null)));
+    return results.flatMap(result => result.results.map(row => row.user_id));
+};
+
+/**
+ * filters: unreadOnly, bookIds (batasan personal access token), limit, cursor. Terbaru lebih dulu.
+ * Mengembalikan { notifications, nextCursor, unreadCount } atau { error }.
+ */
+export const findNotificationsByUserId = async (db, userId, filters = {}) => {
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 20, 1), 100);
+    const whereClauses = ['n.user_id = ?'];
+    const params = [userId];
+    if (filters.bookIds) {
+        whereClauses.push(`n.book_id IN (${filters.bookIds.map(() => '?').join(', ')})`);
+        params.push(...filters.bookIds);
+    }
+    const unreadWhere = [...whereClauses, 'n.read_at IS NULL'];
+    const unreadParams = [...params];
+    if (filters.unreadOnly) {
+        whereClauses.push('n.read_at IS NULL');
+    }
+    if (filters.cursor) {
+        const cursorValues = decodeCursor(filters.cursor, 2);
+        if (!cursorValues) return { error: 'Invalid cursor' };
+        whereClauses.push('(n.created_at, n.rowid) < (?, ?)');
+        params.push(...cursorValues);
+    }
+
+    const [{ results }, unreadCount] = await Promise.all([
+        db.prepare(`
+            SELECT n.*, n.rowid as seq, b.name as book_name
+            FROM notifications n LEFT JOIN books b ON n.book_id = b.id
+            WHERE ${whereClauses.join(' AND ')}
+            ORDER BY n.created_at DESC, n.rowid DESC
+            LIMIT ?
+        `).bind(...params, limit + 1).all(),
+        db.prepare(`SELECT COUNT(*) as total FROM notifications n WHERE ${unreadWhere.join(' AND ')}`).bind(...unreadParams).first('total')
+    ]);
+
+    const hasMore = results.length > limit;
+    const page = results.slice(0, limit);
+    const last = page[page.length - 1];
+    return {
+        notifications: page.map(({ seq, dedupe_key, ...notification }) => ({ ...notification, is_read: Boolean(notification.read_at) })),
+        nextCursor: hasMore ? encodeCursor([last.created_at, last.seq]) : null,
+        unreadCount
+    };
+};
+// read = false untuk menandai belum dibaca lagi. Mengembalikan false jika notifikasi bukan milik user.
+export const setNotificationRead = async (db, userId, notificationId, read) => {
+    const result = await db.prepare(`UPDATE notifications SET read_at = ${read ? "COALESCE(read_at, datetime('now','localtime'))" : 'NULL'} WHERE id = ? AND user_id = ?`)
+        .bind(notificationId, userId).run();
+    return result.meta.changes > 0;
+};
+export const markAllNotificationsRead = async (db, userId, bookIds) => {
+    const bookClause = bookIds ? ` AND book_id IN (${bookIds.map(() => '?').join(', ')})` : '';
+    const result = await db.prepare(`UPDATE notifications SET read_at = datetime('now','localtime') WHERE user_id = ? AND read_at IS NULL${bookClause}`)
+        .bind(userId, ...(bookIds || [])).run();
+    return result.meta.changes;
+};
+
 // --- [BARU] CRUD untuk Tujuan Tabungan (Goals) ---
+// [BARU] ledger_amount (sen): nominal tujuan menurut buku besar, lihat withGoalProgress di src/lib/goals.js
+// - ACCOUNT      : uang yang masuk ke akun tertaut sejak ditautkan, yaitu jumlah mutasi (kaki akun) dengan
+//                  transaction_date >= account_linked_at. Saldo sebelum ditautkan, termasuk saldo awal akun
+//                  (ditulis langsung ke accounts.balance tanpa split), sengaja tidak dihitung.
+// - CONTRIBUTIONS: jumlah nilai transaksi yang ditandai goal_id
+const GOAL_SELECT = `
+    SELECT g.*, CASE g.funding_source
+        WHEN 'ACCOUNT' THEN (
+            SELECT COALESCE(SUM(s.amount), 0) * 100 FROM transaction_splits s JOIN transactions t ON s.transaction_id = t.id
+            WHERE s.account_id = g.account_id AND s.category_id IS NULL AND t.deleted_at IS NULL
+              AND t.transaction_date >= g.account_linked_at)
+        WHEN 'CONTRIBUTIONS' THEN (
+            SELECT COALESCE(SUM(s.amount), 0) * 100 FROM transaction_splits s JOIN transactions t ON s.transaction_id = t.id
+            WHERE t.goal_id = g.id AND s.amount > 0 AND t.deleted_at IS NULL)
+    END as ledger_amount
+    FROM goals g`;
+
 export const findGoalsByBookId = async (db, bookId) => {
-    return (await db.prepare('SELECT * FROM goals WHERE book_id = ? ORDER BY created_at DESC').bind(bookId).all()).results;
+    return (await db.prepare(`${GOAL_SELECT} WHERE g.book_id = ? AND g.deleted_at IS NULL ORDER BY g.created_at DESC`).bind(bookId).all()).results;
+};
+export const findGoalById = async (db, bookId, goalId) => {
+    return await db.prepare(`${GOAL_SELECT} WHERE g.id = ? AND g.book_id = ? AND g.deleted_at IS NULL`).bind(goalId, bookId).first();
 };
 
 export const createGoal = async (db, data) => {
     const newId = `goal-${crypto.randomUUID()}`;
     const targetAmountInCents = Math.round(data.target_amount * 100);
 
-    await db.prepare('INSERT INTO goals (id, book_id, name, target_amount, target_date, icon) VALUES (?, ?, ?, ?, ?, ?)')
-        .bind(newId, data.book_id, data.name, targetAmountInCents, data.target_date, data.icon).run();
+    await db.prepare('INSERT INTO goals (id, book_id, name, target_amount, target_date, icon, funding_source, account_id, account_linked_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)')
+        .bind(newId, data.book_id, data.name, targetAmountInCents, data.target_date || null, data.icon || null, data.funding_source || 'MANUAL', data.account_id || null, data.account_linked_at || null).run();
     
     return { id: newId, ...data };
 };
 
-export const updateGoal = async (db, goalId, data) => {
+export const updateGoal = async (db, goalId, data, expectedVersion) => {
     // Fungsi ini bisa untuk mengubah nama, atau menambah/mengurangi 'current_amount'
+    // [DIUBAH] Untuk goal ACCOUNT/CONTRIBUTIONS, current_amount & is_achieved dihitung dari buku besar saat dibaca
     const currentAmountInCents = Math.round(data.current_amount * 100);
     const targetAmountInCents = Math.round(data.target_amount * 100);
 
-    await db.prepare('UPDATE goals SET name = ?, target_amount = ?, current_amount = ?, target_date = ?, icon = ?, is_achieved = ? WHERE id = ?')
-        .bind(data.name, targetAmountInCents, currentAmountInCents, data.target_date, data.icon, data.is_achieved, goalId).run();
+    const result = await db.prepare('UPDATE goals SET name = ?, target_amount = ?, current_amount = ?, target_date = ?, icon = ?, is_achieved = ?, funding_source = ?, account_id = ?, account_linked_at = ?, version = version + 1 WHERE id = ? AND version = ?')
+        .bind(data.name, targetAmountInCents, currentAmountInCents, data.target_date || null, data.icon || null, data.is_achieved ? 1 : 0,
+            data.funding_source || 'MANUAL', data.account_id || null, data.account_linked_at || null, goalId, expectedVersion).run();
+    if (result.meta.changes === 0) return { conflict: true };
         
     return { id: goalId, ...data };
 };
 
+// [BARU] Riwayat setoran goal, terbaru lebih dulu. Nominal dalam sen (sama dengan goal).
+// ACCOUNT: setiap mutasi akun tertaut (penarikan bernilai negatif); CONTRIBUTIONS: transaksi bertanda goal_id.
+// Mengembalikan { contributions, nextCursor } atau { error }.
+export const findGoalContributions = async (db, goal, filters = {}) => {
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 50, 1), 200);
+    if (goal.funding_source === 'MANUAL') return { contributions: [], nextCursor: null };
+
+    const whereClauses = ['t.book_id = ?', 't.deleted_at IS NULL'];
+    const params = [goal.book_id];
+    if (goal.funding_source === 'ACCOUNT') {
+        whereClauses.push('s.account_id = ?', 's.category_id IS NULL', 't.transaction_date >= ?');
+        params.push(goal.account_id, goal.account_linked_at);
+    } else {
+        whereClauses.push('t.goal_id = ?', 's.amount > 0');
+        params.push(goal.id);
+    }
+    if (filters.cursor) {
+        const cursorValues = decodeCursor(filters.cursor, 2);
+        if (!cursorValues) return { error: 'Invalid cursor' };
+        whereClauses.push('(t.transaction_date, t.id) < (?, ?)');
+        params.push(...cursorValues);
+    }
+
+    const { results } = await db.prepare(`
+        SELECT t.id as transaction_id, t.type, t.description, t.transaction_date, SUM(s.amount) * 100 as amount
+        FROM transaction_splits s JOIN transactions t ON s.transaction_id = t.id
+        WHERE ${whereClauses.join(' AND ')}
+        GROUP BY t.id
+        ORDER BY t.transaction_date DESC, t.id DESC
+        LIMIT ?
+    `).bind(...params, limit + 1).all();
+
+    const hasMore = results.length > limit;
+    const page = results.slice(0, limit);
+    const last = page[page.length - 1];
+    return {
+        contributions: page,
+        nextCursor: hasMore ? encodeCursor([last.transaction_date, last.transaction_id]) : null
+    };
+};
+
 export const deleteGoal = async (db, goalId) => {
     return await db.prepare('DELETE FROM goals WHERE id = ?').bind(goalId).run();
 };
@@ -611,7 +1780,7 @@ export const getCategoryRecommendations = async (db, bookId, description) => {
         JOIN transaction_splits s ON t.id = s.transaction_id
         JOIN categories c ON s.category_id = c.id
         WHERE 
-            t.book_id = ? AND (${whereClauses})
+            t.book_id = ? AND t.deleted_at IS NULL AND (${whereClauses})
         GROUP BY c.id
         ORDER BY frequency DESC
         LIMIT 5
@@ -624,7 +1793,7 @@ export const getCategoryRecommendations = async (db, bookId, description) => {
 };
 // --- [BARU] CRUD untuk Catatan (Notes) ---
 export const findNotesByBookId = async (db, bookId, filters = {}) => {
-    let query = 'SELECT * FROM notes WHERE book_id = ?';
+    let query = 'SELECT * FROM notes WHERE book_id = ? AND deleted_at IS NULL';
     const params = [bookId];
     if (filters.date) {
         query += ' AND note_date = ?';
@@ -639,13 +1808,59 @@ export const createNote = async (db, data, userId) => {
         .bind(newId, data.book_id, data.title, data.content, data.note_date, userId).run();
     return { id: newId, ...data };
 };
-export const updateNote = async (db, noteId, data, userId) => {
-    await db.prepare('UPDATE notes SET title = ?, content = ?, note_date = ?, updated_at = datetime("now","localtime"), updated_by = ? WHERE id = ?')
-        .bind(data.title, data.content, data.note_date, userId, noteId).run();
+export const updateNote = async (db, noteId, data, userId, expectedVersion) => {
+    const result = await db.prepare('UPDATE notes SET title = ?, content = ?, note_date = ?, updated_at = datetime("now","localtime"), updated_by = ?, version = version + 1 WHERE id = ? AND version = ?')
+        .bind(data.title, data.content, data.note_date, userId, noteId, expectedVersion).run();
+    if (result.meta.changes === 0) return { conflict: true };
     return { id: noteId, ...data };
 };
+// Hapus permanen (dari tempat sampah)
+const deleteNoteStatements = (db, noteId) => [
+    db.prepare('DELETE FROM attachments WHERE note_id = ?').bind(noteId),
+    db.prepare('DELETE FROM notes WHERE id = ?').bind(noteId)
+];
 export const deleteNote = async (db, noteId) => {
-    return await db.prepare('DELETE FROM notes WHERE id = ?').bind(noteId).run();
+    return await db.batch(deleteNoteStatements(db, noteId));
+};
+
+// --- [BARU] Lampiran (file di R2, metadata di tabel attachments) ---
+export const createAttachment = async (db, data) => {
+    const attachment = {
+        id: data.id || `att-${crypto.randomUUID()}`,
+        book_id: data.book_id,
+        transaction_id: data.transaction_id || null,
+        note_id: data.note_id || null,
+        r2_key: data.r2_key,
+        file_name: data.file_name || null,
+        mime_type: data.mime_type,
+        size: data.size,
+        source: data.source || 'UPLOAD',
+        uploaded_by: data.uploaded_by
+    };
+    await db.prepare('INSERT INTO attachments (id, book_id, transaction_id, note_id, r2_key, file_name, mime_type, size, source, uploaded_by) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)')
+        .bind(attachment.id, attachment.book_id, attachment.transaction_id, attachment.note_id, attachment.r2_key, attachment.file_name, attachment.mime_type, attachment.size, attachment.source, attachment.uploaded_by).run();
+    return attachment;
+};
+export const findAttachmentById = async (db, attachmentId) => {
+    return await db.prepare('SELECT * FROM attachments WHERE id = ?').bind(attachmentId).first();
+};
+// parent: { transactionId } atau { noteId }
+export const findAttachmentsByParent = async (db, { transactionId, noteId }) => {
+    const column = transactionId ? 'transaction_id' : 'note_id';
+    return (await db.prepare(`SELECT * FROM attachments WHERE ${column} = ? ORDER BY created_at ASC`).bind(transactionId || noteId).all()).results;
+};
+export const findAttachmentKeysByParent = async (db, parent) => {
+    return [...new Set((await findAttachmentsByParent(db, parent)).map(attachment => attachment.r2_key))];
+};
+// Objek R2 hanya boleh dihapus jika tidak ada baris lampiran lain yang masih memakainya
+export const findUnreferencedAttachmentKeys = async (db, keys) => {
+    if (keys.length === 0) return [];
+    const placeholders = keys.map(() => '?').join(', ');
+    const stillUsed = (await db.prepare(`SELECT DISTINCT r2_key FROM attachments WHERE r2_key IN (${placeholders})`).bind(...keys).all()).results.map(row => row.r2_key);
+    return keys.filter(key => !stillUsed.includes(key));
+};
+export const deleteAttachment = async (db, attachmentId) => {
+    return await db.prepare('DELETE FROM attachments WHERE id = ?').bind(attachmentId).run();
 };
 // [PERBAIKAN UNTUK FILE: casflo-api/src/db/queries.js]
 // Ganti fungsi exportTransactionsAsCSV yang lama dengan ini:
@@ -659,27 +1874,33 @@ export const exportTransactionsAsCSV = async (db, bookId) => {
             c.name as category_name,
             c.type as category_type, 
             a.name as account_name,
-            s.amount
+            s.amount,
+            s.memo,
+            t.id as transaction_id
         FROM transactions t
         JOIN transaction_splits s ON t.id = s.transaction_id
         JOIN accounts a ON s.account_id = a.id
         LEFT JOIN categories c ON s.category_id = c.id
-        WHERE t.book_id = ? AND s.category_id IS NOT NULL
-        ORDER BY t.transaction_date DESC
+        WHERE t.book_id = ? AND t.deleted_at IS NULL AND s.category_id IS NOT NULL
+        ORDER BY t.transaction_date DESC, t.created_at DESC, t.id, s.rowid
     `).bind(bookId).all();
 
+    // [BARU] Transaksi split diekspor sebagai beberapa baris (satu per kategori) dengan ID transaksi yang sama
+    const header = "Tanggal,ID Transaksi,Deskripsi,Kategori,Tipe,Akun,Memo,Pemasukan,Pengeluaran\n";
     if (!results || results.length === 0) {
-        return "Tanggal,Deskripsi,Kategori,Tipe,Akun,Pemasukan,Pengeluaran\nTidak ada data untuk diekspor.";
+        return `${header}Tidak ada data untuk diekspor.`;
     }
 
-    let csvContent = "Tanggal,Deskripsi,Kategori,Tipe,Akun,Pemasukan,Pengeluaran\n";
+    const quote = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+    let csvContent = header;
 
     results.forEach(row => {
         const date = row.transaction_date;
-        const description = `"${row.description || ''}"`;
-        const category = `"${row.category_name}"`; // Tidak akan pernah "Transfer" lagi
-        const type = `"${row.category_type}"`;
-        const account = `"${row.account_name}"`;
+        const description = quote(row.description);
+        const category = quote(row.category_name); // Tidak akan pernah "Transfer" lagi
+        const type = quote(row.category_type);
+        const account = quote(row.account_name);
+        const memo = quote(row.memo);
         
         // [PERBAIKAN 2] Logika Pemasukan/Pengeluaran berdasarkan Tipe Kategori
         // Amount dari EXPENSE akan positif (DEBIT), Amount dari INCOME akan negatif (CREDIT)
@@ -689,8 +1910,112 @@ export const exportTransactionsAsCSV = async (db, bookId) => {
         const income = row.category_type === 'INCOME' ? amountInRupiah : 0;
         const expense = row.category_type === 'EXPENSE' ? amountInRupiah : 0;
 
-        csvContent += `${date},${description},${category},${type},${account},${income},${expense}\n`;
+        csvContent += `${date},${row.transaction_id},${description},${category},${type},${account},${memo},${income},${expense}\n`;
     });
 
     return csvContent;
-};
\ No newline at end of file
+};
+
+// --- [BARU] Audit Log (append-only) ---
+// Tidak ada fungsi update/delete untuk audit_logs; baris hanya hilang bersama bukunya.
+
+// Snapshot entitas untuk kolom before/after. Mengembalikan null jika entitas tidak (lagi) ada.
+// Baris di tempat sampah tetap diambil agar hapus lunak terlihat sebagai perubahan deleted_at.
+export const findAuditSnapshot = async (db, entityType, bookId, id) => {
+  if (!id) return null;
+  switch (entityType) {
+    case 'book': {
+      const book = await findBookById(db, id);
+      if (!book) return null;
+      // Peran anggota ikut dicatat agar alih kepemilikan terlihat di before/after
+      const { results } = await db.prepare('SELECT user_id, role FROM book_members WHERE book_id = ? ORDER BY user_id').bind(id).all();
+      return { ...book, members: results };
+    }
+    case 'settings':
+      return await findSettingsByBookId(db, bookId);
+    case 'member':
+      return await findMember(db, bookId, id);
+    case 'invitation': {
+      const invitation = await db.prepare('SELECT * FROM book_invitations WHERE id = ? AND book_id = ?').bind(id, bookId).first();
+      if (!invitation) return null;
+      const { token_hash, ...rest } = invitation;
+      return rest;
+    }
+    case 'transaction': {
+      const transaction = await db.prepare('SELECT * FROM transactions WHERE id = ? AND book_id = ?').bind(id, bookId).first();
+      if (!transaction) return null;
+      const { results: tags } = await db.prepare('SELECT tag_id FROM transaction_tags WHERE transaction_id = ? ORDER BY tag_id').bind(id).all();
+      return { ...transaction, splits: await findTransactionSplits(db, id), tag_ids: tags.map(tag => tag.tag_id) };
+    }
+    case 'budget':
+      return await findBudgetById(db, bookId, id);
+    default: {
+      const { table } = bookResource(entityType);
+      return await db.prepare(`SELECT * FROM ${table} WHERE id = ? AND book_id = ?`).bind(id, bookId).first();
+    }
+  }
+};
+
+export const createAuditLog = async (db, data) => {
+  const { book_id, actor_id, api_token_id, action, entity_type, entity_id, before, after } = data;
+  const toJson = (snapshot) => snapshot == null ? null : JSON.stringify(snapshot);
+  return await db.prepare(`
+    INSERT INTO audit_logs (id, book_id, actor_id, api_token_id, action, entity_type, entity_id, before_json, after_json)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).bind(`log-${crypto.randomUUID()}`, book_id, actor_id, api_token_id || null, action, entity_type, entity_id || null, toJson(before), toJson(after)).run();
+};
+
+/**
+ * filters: memberId, entityType, startDate, endDate, limit, cursor. Terbaru lebih dulu;
+ * rowid (urutan sisip) memisahkan log dengan created_at yang sama.
+ * Mengembalikan { activity, nextCursor } atau { error }.
+ */
+export const findAuditLogsByBookId = async (db, bookId, filters = {}) => {
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 50, 1), 200);
+  const whereClauses = ['l.book_id = ?'];
+  const params = [bookId];
+
+  if (filters.memberId) {
+    whereClauses.push('l.actor_id = ?');
+    params.push(filters.memberId);
+  }
+  if (filters.entityType) {
+    whereClauses.push('l.entity_type = ?');
+    params.push(filters.entityType);
+  }
+  if (filters.startDate) {
+    whereClauses.push('date(l.created_at) >= date(?)');
+    params.push(filters.startDate);
+  }
+  if (filters.endDate) {
+    whereClauses.push('date(l.created_at) <= date(?)');
+    params.push(filters.endDate);
+  }
+  if (filters.cursor) {
+    const cursorValues = decodeCursor(filters.cursor, 2);
+    if (!cursorValues) return { error: 'Invalid cursor' };
+    whereClauses.push('(l.created_at, l.rowid) < (?, ?)');
+    params.push(...cursorValues);
+  }
+
+  const { results } = await db.prepare(`
+    SELECT l.*, l.rowid as seq, u.full_name as actor_name
+    FROM audit_logs l
+    LEFT JOIN users u ON l.actor_id = u.id
+    WHERE ${whereClauses.join(' AND ')}
+    ORDER BY l.created_at DESC, l.rowid DESC
+    LIMIT ?
+  `).bind(...params, limit + 1).all();
+
+  const hasMore = results.length > limit;
+  const page = results.slice(0, limit);
+  const last = page[page.length - 1];
+  return {
+    activity: page.map(({ seq, before_json, after_json, ...log }) => ({
+      ...log,
+      before: before_json ? JSON.parse(before_json) : null,
+      after: after_json ? JSON.parse(after_json) : null
+    })),
+    nextCursor: hasMore ? encodeCursor([last.created_at, last.seq]) : null
+  };
+};
@@ -2,20 +2,32 @@ import { Hono } from 'hono';
 import { cors } from 'hono/cors';
 import authRoutes from './routes/auth.js';
 import bookRoutes from './routes/books.js';
+import tokenRoutes from './routes/tokens.js';
+import invitationRoutes from './routes/invitations.js';
+import attachmentRoutes from './routes/attachments.js';
+import notificationRoutes from './routes/notifications.js';
 import { protect } from './middleware/auth.js'; // [BARU] Impor middleware 'protect'
 import { processScanRequest } from './lib/gemini.js'; // [BARU] Impor fungsi AI kita
+import { rateLimit, byIp, byUser } from './middleware/rateLimit.js';
+import { findMember, createAttachment } from './db/queries.js';
+import { hasPermission } from './lib/permissions.js';
+import { attachmentKey, decodeBase64Image, validateAttachmentFile, putAttachmentObject } from './lib/attachments.js';
+import { runScheduledJobs } from './jobs/index.js';
 
 const app = new Hono().basePath('/api/v1');
 
 // Terapkan middleware CORS
+// [DIUBAH] Origin frontend diambil dari env (APP_BASE_URL) agar 'wrangler dev' lokal juga bisa
+const STATIC_ORIGINS = [
+  'https://app.casflo.id',
+  'http://localhost:8787',
+  'http://127.0.0.1:8787'
+];
 app.use('*', cors({
-  origin: [
-    'https://app.casflo.id', 
-    'http://localhost:8787', 
-    'http://127.0.0.1:8787' 
-  ],
+  origin: (origin, c) => (STATIC_ORIGINS.includes(origin) || origin === c.env.APP_BASE_URL ? origin : null),
   allowMethods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowHeaders: ['Content-Type', 'Authorization']
+  allowHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key', 'If-Match'],
+  exposeHeaders: ['ETag']
 }));
 
 
@@ -30,17 +42,63 @@ app.get('/', (c) => {
 // Mendaftarkan grup rute
 app.route('/auth', authRoutes);
 app.route('/books', bookRoutes);
+app.route('/tokens', tokenRoutes); // [BARU] Personal access token
+app.route('/invitations', invitationRoutes); // [BARU] Undangan untuk calon anggota buku
+app.route('/attachments', attachmentRoutes); // [BARU] Unduhan lampiran via link bertanda tangan
+app.route('/notifications', notificationRoutes); // [BARU] Notifikasi di aplikasi (pengingat, dll)
 
 // --- [BLOK BARU UNTUK SCAN STRUK] ---
 // Endpoint ini akan berada di /api/v1/scan
-app.post('/scan', protect, async (c) => {
+// Pemindaian memanggil Gemini (berbayar), jadi dibatasi per IP dan per user
+const scanLimits = [
+    rateLimit({ name: 'scan:ip', limit: 60, windowSeconds: 60 * 60, key: byIp }),
+    rateLimit({ name: 'scan:user', limit: 30, windowSeconds: 60 * 60, key: byUser }),
+];
+app.post('/scan', protect, ...scanLimits, async (c) => {
     try {
+        // [PERBAIKAN] Pastikan user boleh menulis ke buku yang dituju (sebelumnya book_id apa pun diterima)
+        const user = c.get('user');
+        const { image, book_id } = await c.req.json();
+        const member = book_id ? await findMember(c.env.DB, book_id, user.id) : null;
+        if (!member || (user.apiTokenBookIds && !user.apiTokenBookIds.includes(book_id)) || !hasPermission(member.role, 'entries:write')) {
+            return c.json({ success: false, error: { message: 'Forbidden: You cannot add entries to this book.' } }, 403);
+        }
+
+        // [BARU] Foto struk disimpan sebagai lampiran; batasan tipe & ukuran sama dengan upload biasa
+        let decoded = null;
+        if (image) {
+            try {
+                decoded = decodeBase64Image(image);
+            } catch (error) {
+                return c.json({ success: false, error: { message: 'Image must be valid base64.' } }, 400);
+            }
+            const invalid = validateAttachmentFile({ type: decoded.mimeType, size: decoded.bytes.length });
+            if (invalid) {
+                return c.json({ success: false, error: { message: invalid } }, 400);
+            }
+        }
+
         // Panggil fungsi pemroses utama dari gemini.js
         // Kita teruskan 'c' (context) dan 'c.env' (environment)
         const resultData = await processScanRequest(c, c.env);
+
+        // Lampiran belum terhubung ke transaksi; 'attachment_id' dikirim balik saat hasil scan disimpan lewat batch
+        const id = `att-${crypto.randomUUID()}`;
+        const r2_key = attachmentKey(book_id, id);
+        await putAttachmentObject(c.env, r2_key, decoded.bytes, decoded.mimeType);
+        await createAttachment(c.env.DB, {
+            id,
+            book_id,
+            r2_key,
+            file_name: `scan-${resultData.tanggal}.${decoded.mimeType.split('/')[1]}`,
+            mime_type: decoded.mimeType,
+            size: decoded.bytes.length,
+            source: 'SCAN',
+            uploaded_by: user.id
+        });
         
         // Kembalikan data yang sudah diproses ke frontend
-        return c.json({ success: true, data: resultData });
+        return c.json({ success: true, data: { ...resultData, attachment_id: id } });
 
     } catch (error) {
         console.error("Error di /api/v1/scan:", error.message);
@@ -50,4 +108,8 @@ app.post('/scan', protect, async (c) => {
 // --- [AKHIR BLOK BARU] ---
 
 // Export aplikasi sebagai default
-export default app;
\ No newline at end of file
+// [DIUBAH] Ditambah handler 'scheduled' untuk job terjadwal (transaksi berulang, pembersihan tempat sampah, dll)
+export default {
+    fetch: app.fetch,
+    scheduled: (event, env, ctx) => ctx.waitUntil(runScheduledJobs(event, env))
+};
\ No newline at end of file
@@ -0,0 +1,24 @@
+// src/jobs/index.js
+// Job terjadwal (Cron Trigger, lihat [triggers] di wrangler.toml)
+import { postRecurringTransactions } from './postRecurringTransactions.js';
+import { sendReminders } from './sendReminders.js';
+import { purgeTrash } from './purgeTrash.js';
+import { purgeIdempotencyKeys } from './purgeIdempotencyKeys.js';
+
+const JOBS = [
+  { name: 'post-recurring-transactions', run: postRecurringTransactions },
+  { name: 'send-reminders', run: sendReminders },
+  { name: 'purge-trash', run: purgeTrash },
+  { name: 'purge-idempotency-keys', run: purgeIdempotencyKeys }
+];
+
+// Setiap job berjalan terpisah: satu job gagal tidak menghentikan job lain
+export const runScheduledJobs = async (event, env) => {
+  for (const job of JOBS) {
+    try {
+      await job.run(env, event);
+    } catch (error) {
+      console.error(`[cron] ${job.name} gagal:`, error);
+    }
+  }
+};
@@ -0,0 +1,38 @@
+// src/jobs/postRecurringTransactions.js
+import { findDueRecurringTransactions, postRecurringOccurrence, recordRecurringFailure } from '../db/queries.js';
+import { RECURRENCE_FREQUENCIES, nextDueDate, toDateString } from '../lib/recurrence.js';
+
+// Batas jadwal susulan per jadwal berulang dalam satu kali jalan (sisanya dilanjutkan run berikutnya)
+const MAX_OCCURRENCES_PER_RUN = 366;
+
+// Posting semua jadwal yang sudah jatuh tempo hingga hari ini, termasuk yang terlewat.
+// Aman dijalankan ulang: setiap jadwal hanya bisa menjadi satu transaksi (lihat postRecurringOccurrence).
+export const postRecurringTransactions = async (env, event) => {
+  const today = toDateString(new Date(event?.scheduledTime || Date.now()));
+  const counts = { posted: 0, duplicates: 0, failed: 0 };
+
+  for (const rt of await findDueRecurringTransactions(env.DB, today)) {
+    if (!RECURRENCE_FREQUENCIES.includes(rt.frequency)) {
+      await recordRecurringFailure(env.DB, rt.id, `Unknown frequency: ${rt.frequency}`);
+      counts.failed++;
+      continue;
+    }
+
+    const anchorDate = rt.start_date || rt.next_due_date;
+    let dueDate = rt.next_due_date;
+    for (let i = 0; i < MAX_OCCURRENCES_PER_RUN && dueDate <= today; i++) {
+      const next = nextDueDate(rt.frequency, anchorDate, dueDate);
+      const result = await postRecurringOccurrence(env.DB, rt, dueDate, next);
+      if (result.error) {
+        // Jadwal tidak dimajukan; dicoba lagi di run berikutnya setelah data diperbaiki
+        await recordRecurringFailure(env.DB, rt.id, result.error);
+        counts.failed++;
+        break;
+      }
+      counts[result.duplicate ? 'duplicates' : 'posted']++;
+      dueDate = next;
+    }
+  }
+
+  return counts;
+};
@@ -0,0 +1,7 @@
+// src/jobs/purgeIdempotencyKeys.js
+import { purgeExpiredIdempotencyKeys } from '../db/queries.js';
+
+// Buang Idempotency-Key yang sudah lewat masa berlakunya
+export const purgeIdempotencyKeys = async (env) => {
+  return { deleted: await purgeExpiredIdempotencyKeys(env.DB) };
+};
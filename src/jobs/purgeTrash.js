@@ -0,0 +1,16 @@
+// src/jobs/purgeTrash.js
+import { purgeExpiredTrash, findUnreferencedAttachmentKeys } from '../db/queries.js';
+import { deleteAttachmentObjects, purgeBookAttachmentObjects } from '../lib/attachments.js';
+
+// Hapus permanen isi tempat sampah yang sudah melewati masa simpan, termasuk file lampirannya di R2
+export const purgeTrash = async (env) => {
+  const { bookIds, attachmentKeys, counts } = await purgeExpiredTrash(env.DB);
+
+  const unusedKeys = await findUnreferencedAttachmentKeys(env.DB, attachmentKeys);
+  await deleteAttachmentObjects(env, unusedKeys);
+  for (const bookId of bookIds) {
+    await purgeBookAttachmentObjects(env, bookId);
+  }
+
+  return counts;
+};
@@ -0,0 +1,60 @@
+// src/jobs/sendReminders.js
+import { findDueReminders, findMembersByBookId, createNotifications, markReminderNotified } from '../db/queries.js';
+import { sendReminderEmail } from '../lib/email.js';
+import { RECURRENCE_FREQUENCIES, nextDueDate, toDateString } from '../lib/recurrence.js';
+
+// Kirim pengingat yang jatuh tempo ke semua anggota buku: notifikasi di aplikasi + email.
+// Aman dijalankan ulang: notifikasi unik per (user, pengingat, tanggal), dan email hanya dikirim
+// ke user yang notifikasinya baru dibuat.
+export const sendReminders = async (env, event) => {
+  const today = toDateString(new Date(event?.scheduledTime || Date.now()));
+  const counts = { reminders: 0, notifications: 0, emails: 0 };
+
+  for (const reminder of await findDueReminders(env.DB, today)) {
+    const members = await findMembersByBookId(env.DB, reminder.book_id);
+    const amount = reminder.amount ? reminder.amount / 100 : null; // reminders menyimpan sen
+    const notifiedUserIds = await createNotifications(env.DB, members.map(member => ({
+      user_id: member.id,
+      book_id: reminder.book_id,
+      type: 'REMINDER',
+      title: reminder.description,
+      body: `Jatuh tempo ${reminder.due_date}${amount ? ` · Rp ${amount.toLocaleString('id-ID')}` : ''}`,
+      entity_type: 'reminder',
+      entity_id: reminder.id,
+      dedupe_key: `reminder:${reminder.id}:${reminder.due_date}`
+    })));
+
+    for (const member of members.filter(m => notifiedUserIds.includes(m.id) && m.email)) {
+      const result = await sendReminderEmail({ env }, {
+        to: member.email,
+        bookName: reminder.book_name,
+        description: reminder.description,
+        amount,
+        dueDate: reminder.due_date,
+        appUrl: env.APP_BASE_URL
+      });
+      if (result.success) counts.emails++;
+    }
+
+    // Jadwal reminder_date yang sudah lewat dianggap terkirim, baik lewat jadwal asli maupun lewat tunda,
+    // dan pengingat berulang langsung maju ke jadwal berikutnya setelah hari ini.
+    // Tunda atas jadwal yang sudah maju hanya mengingatkan ulang, jadwalnya tidak disentuh.
+    const scheduleDue = reminder.reminder_date <= today;
+    let reminderDate = reminder.reminder_date;
+    if (scheduleDue && RECURRENCE_FREQUENCIES.includes(reminder.frequency)) {
+      const anchorDate = reminder.start_date || reminder.reminder_date;
+      while (reminderDate <= today) {
+        reminderDate = nextDueDate(reminder.frequency, anchorDate, reminderDate);
+      }
+    }
+    await markReminderNotified(env.DB, reminder.id, {
+      notifiedFor: scheduleDue ? reminder.reminder_date : reminder.last_notified_for,
+      reminderDate
+    });
+
+    counts.reminders++;
+    counts.notifications += notifiedUserIds.length;
+  }
+
+  return counts;
+};
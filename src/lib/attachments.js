@@ -0,0 +1,84 @@
+// src/lib/attachments.js
+// Penyimpanan lampiran di R2 (binding ATTACHMENTS) dan link unduhan bertanda tangan.
+import { hmacSha256Hex, timingSafeEqual } from './crypto.js';
+
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024; // 10 MB
+export const ALLOWED_ATTACHMENT_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'application/pdf'];
+
+const DOWNLOAD_LINK_TTL_SECONDS = 60 * 15; // 15 menit
+
+// Semua objek satu buku berada di bawah prefix yang sama agar mudah dibersihkan saat buku dihapus
+const bookPrefix = (bookId) => `books/${bookId}/`;
+export const attachmentKey = (bookId, attachmentId) => `${bookPrefix(bookId)}attachments/${attachmentId}`;
+
+// Mengembalikan pesan error, atau null jika file boleh diunggah
+export const validateAttachmentFile = ({ type, size }) => {
+  if (!ALLOWED_ATTACHMENT_TYPES.includes(type)) {
+    return `File type not allowed. Allowed types: ${ALLOWED_ATTACHMENT_TYPES.join(', ')}.`;
+  }
+  if (!size) {
+    return 'File is empty.';
+  }
+  if (size > MAX_ATTACHMENT_BYTES) {
+    return `File is too large. Maximum size is ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB.`;
+  }
+  return null;
+};
+
+export const putAttachmentObject = async (env, key, body, mimeType) => {
+  await env.ATTACHMENTS.put(key, body, { httpMetadata: { contentType: mimeType } });
+};
+
+export const deleteAttachmentObjects = async (env, keys) => {
+  if (keys.length > 0) {
+    await env.ATTACHMENTS.delete(keys);
+  }
+};
+
+// Hapus semua objek milik buku (dipanggil setelah buku dihapus)
+export const purgeBookAttachmentObjects = async (env, bookId) => {
+  let cursor;
+  do {
+    const listing = await env.ATTACHMENTS.list({ prefix: bookPrefix(bookId), cursor });
+    await deleteAttachmentObjects(env, listing.objects.map(object => object.key));
+    cursor = listing.truncated ? listing.cursor : undefined;
+  } while (cursor);
+};
+
+// Gambar base64 dari /scan (boleh berupa data URL) -> { bytes, mimeType }
+export const decodeBase64Image = (image) => {
+  const match = /^data:([\w/+.-]+);base64,/.exec(image);
+  const mimeType = match ? match[1] : 'image/jpeg';
+  const binary = atob(match ? image.slice(match[0].length) : image);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return { bytes, mimeType };
+};
+
+// --- Link unduhan bertanda tangan ---
+// Link bisa dibuka tanpa header Authorization (misal di <img> atau tab baru), tapi hanya sampai kedaluwarsa.
+const signaturePayload = (attachmentId, expires) => `attachment:${attachmentId}:${expires}`;
+
+export const createDownloadUrl = async (c, attachmentId) => {
+  const expires = Math.floor(Date.now() / 1000) + DOWNLOAD_LINK_TTL_SECONDS;
+  const signature = await hmacSha256Hex(c.env.JWT_SECRET, signaturePayload(attachmentId, expires));
+  return {
+    download_url: `${c.env.API_BASE_URL}/api/v1/attachments/${attachmentId}/download?expires=${expires}&signature=${signature}`,
+    download_url_expires_at: new Date(expires * 1000).toISOString()
+  };
+};
+
+export const verifyDownloadSignature = async (c, attachmentId, expires, signature) => {
+  const expiresAt = parseInt(expires, 10);
+  if (!expiresAt || expiresAt < Math.floor(Date.now() / 1000)) return false;
+  const expected = await hmacSha256Hex(c.env.JWT_SECRET, signaturePayload(attachmentId, expiresAt));
+  return timingSafeEqual(expected, signature);
+};
+
+// Metadata lampiran untuk respons API (tanpa r2_key) + link unduhan baru
+export const toPublicAttachment = async (c, attachment) => {
+  const { r2_key, ...rest } = attachment;
+  return { ...rest, ...(await createDownloadUrl(c, attachment.id)) };
+};
@@ -0,0 +1,112 @@
+// src/lib/budgets.js
+// Periode anggaran dan progres pengeluaran per periode. Tanggal berupa string 'YYYY-MM-DD' (UTC),
+// nominal dalam sen (seperti kolom budgets.amount).
+import { addDays, addMonthsClamped } from './recurrence.js';
+
+export const BUDGET_PERIODS = ['WEEKLY', 'MONTHLY', 'YEARLY'];
+
+// Data lama bisa berisi huruf kecil atau kosong; anggap bulanan
+export const normalizeBudgetPeriod = (period) => {
+  const upper = typeof period === 'string' ? period.toUpperCase() : null;
+  return BUDGET_PERIODS.includes(upper) ? upper : 'MONTHLY';
+};
+
+// Tanggal 'startOfMonth' pada bulan yang sama dengan 'date' (belum dipangkas ke panjang bulan)
+const monthAnchor = (date, startOfMonth) => `${date.slice(0, 8)}${String(startOfMonth).padStart(2, '0')}`;
+const daysBetween = (from, to) => Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+
+/**
+ * Awal periode yang memuat 'date'.
+ * - WEEKLY : kelipatan 7 hari dari start_date anggaran
+ * - MONTHLY: tanggal start_of_month buku setiap bulan (misal 25 -> 25 Jan s/d 24 Feb)
+ * - YEARLY : tanggal start_of_month pada bulan start_date anggaran setiap tahun
+ */
+const periodStartContaining = (period, date, { anchorDate, startOfMonth }) => {
+  if (period === 'WEEKLY') {
+    const anchor = anchorDate || '1970-01-05'; // Tanpa start_date: minggu dimulai hari Senin
+    return addDays(anchor, Math.floor(daysBetween(anchor, date) / 7) * 7);
+  }
+  const months = period === 'YEARLY' ? 12 : 1;
+  const anchor = period === 'YEARLY'
+    ? monthAnchor(`${date.slice(0, 4)}-${anchorDate ? anchorDate.slice(5, 7) : '01'}-01`, startOfMonth)
+    : monthAnchor(date, startOfMonth);
+  const start = addMonthsClamped(anchor, 0);
+  return start <= date ? start : addMonthsClamped(anchor, -months);
+};
+
+const nextPeriodStart = (period, start, { startOfMonth }) => {
+  if (period === 'WEEKLY') return addDays(start, 7);
+  return addMonthsClamped(monthAnchor(start, startOfMonth), period === 'YEARLY' ? 12 : 1);
+};
+
+/**
+ * Rentang periode dari periode pertama anggaran (yang memuat start_date) sampai periode yang memuat 'asOf'.
+ * Mengembalikan [{ start_date, end_date, next_start_date }] urut dari yang terlama.
+ */
+export const budgetPeriodRanges = (budget, { startOfMonth, asOf }) => {
+  const period = normalizeBudgetPeriod(budget.period);
+  const context = { anchorDate: budget.start_date, startOfMonth: Math.min(Math.max(parseInt(startOfMonth, 10) || 1, 1), 31) };
+  const firstDate = budget.start_date && budget.start_date > asOf ? budget.start_date : (budget.start_date || asOf);
+  const ranges = [];
+  let start = periodStartContaining(period, firstDate, context);
+  do {
+    const next = nextPeriodStart(period, start, context);
+    ranges.push({ start_date: start, end_date: addDays(next, -1), next_start_date: next });
+    start = next;
+  } while (start <= asOf);
+  return ranges;
+};
+
+/**
+ * Progres anggaran per periode.
+ * spending: [{ date, amount }] pengeluaran harian (sen) pada kategori anggaran, urut tanggal.
+ * Dengan carry_over, sisa periode sebelumnya (jika positif) ditambahkan ke periode berikutnya;
+ * kelebihan belanja tidak dibawa.
+ */
+export const summarizeBudgetPeriods = (budget, ranges, spending) => {
+  const periods = [];
+  let index = 0;
+  let carried = 0;
+  for (const range of ranges) {
+    let spent = 0;
+    while (index < spending.length && spending[index].date < range.next_start_date) {
+      if (spending[index].date >= range.start_date) spent += spending[index].amount;
+      index++;
+    }
+    const available = budget.amount + carried;
+    const remaining = available - spent;
+    periods.push({
+      start_date: range.start_date,
+      end_date: range.end_date,
+      budgeted: budget.amount,
+      carried_over: carried,
+      available,
+      spent,
+      remaining,
+      percentage: available > 0 ? Math.round((spent / available) * 1000) / 10 : null
+    });
+    carried = budget.carry_over ? Math.max(remaining, 0) : 0;
+  }
+  return periods;
+};
+
+// --- Peringatan anggaran ---
+export const DEFAULT_BUDGET_ALERT_THRESHOLDS = [80, 100];
+export const MAX_BUDGET_ALERT_THRESHOLDS = 5;
+
+// Kolom alert_thresholds (JSON) -> array persen, urut naik
+export const budgetAlertThresholds = (budget) => {
+  const thresholds = budget.alert_thresholds ? JSON.parse(budget.alert_thresholds) : DEFAULT_BUDGET_ALERT_THRESHOLDS;
+  return [...thresholds].sort((a, b) => a - b);
+};
+
+// Mengembalikan pesan error, atau null jika ambang valid (boleh kosong untuk mematikan peringatan)
+export const validateAlertThresholds = (thresholds) => {
+  if (!Array.isArray(thresholds)) return 'alert_thresholds must be an array of percentages';
+  if (thresholds.length > MAX_BUDGET_ALERT_THRESHOLDS) return `At most ${MAX_BUDGET_ALERT_THRESHOLDS} alert thresholds are allowed`;
+  if (thresholds.some(value => !Number.isInteger(value) || value < 1 || value > 1000)) {
+    return 'Each alert threshold must be a whole percentage between 1 and 1000';
+  }
+  if (new Set(thresholds).size !== thresholds.length) return 'Alert thresholds must be unique';
+  return null;
+};
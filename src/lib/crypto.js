@@ -0,0 +1,44 @@
+// src/lib/crypto.js
+// Utilitas kriptografi kecil berbasis Web Crypto (tersedia native di Workers)
+
+const toHex = (buffer) => [...new Uint8Array(buffer)].map(b => b.toString(16).padStart(2, '0')).join('');
+
+const toBase64Url = (bytes) => btoa(String.fromCharCode(...bytes))
+  .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+// Token acak yang aman untuk URL (dipakai untuk refresh token, dll)
+export const generateRandomToken = (byteLength = 32) => {
+  const bytes = crypto.getRandomValues(new Uint8Array(byteLength));
+  return toBase64Url(bytes);
+};
+
+// Hash SHA-256 (hex) untuk menyimpan token rahasia di database.
+// [DIUBAH] Juga menerima ArrayBuffer (misal body request mentah).
+export const sha256Hex = async (value) => {
+  const bytes = typeof value === 'string' ? new TextEncoder().encode(value) : value;
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return toHex(digest);
+};
+
+// Hash SHA-256 dalam base64url (dipakai untuk PKCE code_challenge)
+export const sha256Base64Url = async (value) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return toBase64Url(new Uint8Array(digest));
+};
+
+// [BARU] HMAC-SHA256 (hex), dipakai untuk menandatangani link unduhan
+export const hmacSha256Hex = async (secret, message) => {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(message));
+  return toHex(signature);
+};
+
+// Perbandingan string dengan waktu konstan (mencegah timing attack saat mencocokkan tanda tangan)
+export const timingSafeEqual = (a, b) => {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+};
@@ -1,19 +1,9 @@
 // src/lib/email.js
 
-export const sendVerificationEmail = async (c, { to, code }) => {
-  const from = 'casflo.id <no-reply@casflo.id>'; // GANTI dengan domain terverifikasi Anda di Resend
-  const subject = `Kode Verifikasi Anda untuk casflo.id: ${code}`;
-  const html = `
-    <div style="font-family: sans-serif; text-align: center;">
-      <h2>Verifikasi Akun casflo.id Anda</h2>
-      <p>Gunakan kode di bawah ini untuk menyelesaikan pendaftaran Anda.</p>
-      <p style="font-size: 24px; font-weight: bold; letter-spacing: 5px; background: #f0f0f0; padding: 15px;">
-        ${code}
-      </p>
-      <p>Kode ini akan kedaluwarsa dalam 10 menit.</p>
-    </div>
-  `;
+const FROM_ADDRESS = 'casflo.id <no-reply@casflo.id>'; // GANTI dengan domain terverifikasi Anda di Resend
 
+// Pengirim bersama untuk semua template email (via Resend)
+const sendEmail = async (c, { to, subject, html, failureMessage }) => {
   try {
     const response = await fetch('https://api.resend.com/emails', {
       method: 'POST',
@@ -21,15 +11,15 @@ export const sendVerificationEmail = async (c, { to, code }) => {
         'Content-Type': 'application/json',
         'Authorization': `Bearer ${c.env.RESEND_API_KEY}`
       },
-      body: JSON.stringify({ from, to, subject, html })
+      body: JSON.stringify({ from: FROM_ADDRESS, to, subject, html })
     });
 
     if (!response.ok) {
       const errorBody = await response.json();
-      console.error('Failed to send email:', errorBody);
-      return { success: false, error: 'Failed to send verification email.' };
+      console.error(`${failureMessage}:`, errorBody);
+      return { success: false, error: `${failureMessage}.` };
     }
-    
+
     return { success: true };
 
   } catch (error) {
@@ -38,47 +28,119 @@ export const sendVerificationEmail = async (c, { to, code }) => {
   }
 };
 
-export const sendBookInvitationEmail = async (c, { to, inviterName, bookName }) => {
-  const from = 'casflo.id <no-reply@casflo.id>';
+export const sendVerificationEmail = async (c, { to, code }) => {
+  const subject = `Kode Verifikasi Anda untuk casflo.id: ${code}`;
+  const html = `
+    <div style="font-family: sans-serif; text-align: center;">
+      <h2>Verifikasi Akun casflo.id Anda</h2>
+      <p>Gunakan kode di bawah ini untuk menyelesaikan pendaftaran Anda.</p>
+      <p style="font-size: 24px; font-weight: bold; letter-spacing: 5px; background: #f0f0f0; padding: 15px;">
+        ${code}
+      </p>
+      <p>Kode ini akan kedaluwarsa dalam 10 menit.</p>
+    </div>
+  `;
+
+  return sendEmail(c, { to, subject, html, failureMessage: 'Failed to send verification email' });
+};
+
+// [BARU] Email berisi kode untuk mengatur ulang kata sandi
+export const sendPasswordResetEmail = async (c, { to, code }) => {
+  const subject = `Kode Reset Kata Sandi casflo.id: ${code}`;
+  const html = `
+    <div style="font-family: sans-serif; text-align: center;">
+      <h2>Atur Ulang Kata Sandi Anda</h2>
+      <p>Kami menerima permintaan untuk mengatur ulang kata sandi akun casflo.id Anda. Gunakan kode di bawah ini.</p>
+      <p style="font-size: 24px; font-weight: bold; letter-spacing: 5px; background: #f0f0f0; padding: 15px;">
+        ${code}
+      </p>
+      <p>Kode ini akan kedaluwarsa dalam 10 menit.</p>
+      <p style="font-size: 12px; color: #888;">
+        Jika Anda tidak meminta reset kata sandi, abaikan email ini. Kata sandi Anda tidak akan berubah.
+      </p>
+    </div>
+  `;
+
+  return sendEmail(c, { to, subject, html, failureMessage: 'Failed to send password reset email' });
+};
+
+export const sendBookInvitationEmail = async (c, { to, inviterName, bookName, acceptUrl }) => {
   const subject = `Anda telah diundang ke buku ${bookName}`;
   const html = `
     <div style="font-family: sans-serif; text-align: center;">
       <h2>Undangan Bergabung</h2>
       <p>Halo!</p>
       <p>
-        <strong>${inviterName}</strong> telah mengundang Anda untuk bergabung ke buku 
+        <strong>${inviterName}</strong> telah mengundang Anda untuk bergabung ke buku
         <strong style="font-size: 18px;">${bookName}</strong>
         di aplikasi Casflo.
       </p>
       <p>
-        Cukup login ke akun Casflo Anda, dan Anda akan otomatis melihat buku baru ini di daftar Anda.
+        <a href="${acceptUrl}" style="display: inline-block; background: #2563eb; color: #fff; padding: 12px 24px; border-radius: 6px; text-decoration: none;">
+          Terima Undangan
+        </a>
+      </p>
+      <p>
+        Belum punya akun? Daftar di Casflo dengan alamat email ini, dan undangan akan otomatis diterima setelah email Anda terverifikasi.
       </p>
       <p style="font-size: 12px; color: #888;">
-        Jika Anda tidak merasa meminta undangan ini, Anda bisa mengabaikan email ini.
+        Undangan ini berlaku selama 7 hari. Jika Anda tidak mengenal pengundang, Anda bisa mengabaikan email ini.
       </p>
     </div>
   `;
 
-  try {
-    const response = await fetch('https://api.resend.com/emails', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${c.env.RESEND_API_KEY}`
-      },
-      body: JSON.stringify({ from, to, subject, html })
-    });
+  return sendEmail(c, { to, subject, html, failureMessage: 'Failed to send invitation email' });
+};
 
-    if (!response.ok) {
-      const errorBody = await response.json();
-      console.error('Failed to send invitation email:', errorBody);
-      return { success: false, error: 'Failed to send invitation email.' };
-    }
-    
-    return { success: true };
+// [BARU] Email pengingat jatuh tempo (dikirim oleh job terjadwal ke semua anggota buku)
+export const sendReminderEmail = async (c, { to, bookName, description, amount, dueDate, appUrl }) => {
+  const subject = `Pengingat: ${description}`;
+  const amountLine = amount
+    ? `<p style="font-size: 20px; font-weight: bold;">Rp ${Number(amount).toLocaleString('id-ID')}</p>`
+    : '';
+  const html = `
+    <div style="font-family: sans-serif; text-align: center;">
+      <h2>Pengingat dari buku ${bookName}</h2>
+      <p><strong>${description}</strong></p>
+      ${amountLine}
+      <p>Jatuh tempo: ${dueDate}</p>
+      <p>
+        <a href="${appUrl}" style="display: inline-block; background: #2563eb; color: #fff; padding: 12px 24px; border-radius: 6px; text-decoration: none;">
+          Buka Casflo
+        </a>
+      </p>
+      <p style="font-size: 12px; color: #888;">
+        Tandai pengingat sebagai selesai atau tunda di aplikasi agar tidak dikirim lagi.
+      </p>
+    </div>
+  `;
 
-  } catch (error) {
-    console.error('Email service fetch error:', error);
-    return { success: false, error: 'An error occurred while trying to send the email.' };
-  }
-};
\ No newline at end of file
+  return sendEmail(c, { to, subject, html, failureMessage: 'Failed to send reminder email' });
+};
+
+// [BARU] Email peringatan anggaran (jika diaktifkan per anggaran lewat alert_email)
+export const sendBudgetAlertEmail = async (c, { to, bookName, budgetName, threshold, spent, available, periodStart, periodEnd, appUrl }) => {
+  const exceeded = threshold >= 100;
+  const subject = exceeded ? `Anggaran ${budgetName} terlampaui` : `Anggaran ${budgetName} sudah terpakai ${threshold}%`;
+  const html = `
+    <div style="font-family: sans-serif; text-align: center;">
+      <h2>Peringatan Anggaran</h2>
+      <p>Buku <strong>${bookName}</strong></p>
+      <p>
+        Pengeluaran untuk anggaran <strong>${budgetName}</strong>
+        ${exceeded ? 'sudah melewati batas' : `sudah mencapai ${threshold}% dari batas`} periode ini.
+      </p>
+      <p style="font-size: 20px; font-weight: bold;">
+        Rp ${Number(spent).toLocaleString('id-ID')} / Rp ${Number(available).toLocaleString('id-ID')}
+      </p>
+      <p>Periode: ${periodStart} s/d ${periodEnd}</p>
+      <p>
+        <a href="${appUrl}" style="display: inline-block; background: #2563eb; color: #fff; padding: 12px 24px; border-radius: 6px; text-decoration: none;">
+          Buka Casflo
+        </a>
+      </p>
+    </div>
+  `;
+
+  return sendEmail(c, { to, subject, html, failureMessage: 'Failed to send budget alert email' });
+};
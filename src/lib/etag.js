@@ -0,0 +1,9 @@
+// src/lib/etag.js
+// ETag dibentuk dari kolom 'version' baris (naik setiap kali diubah lewat API)
+
+export const toEtag = (version) => `"${version}"`;
+
+// Header If-Match bisa berisi beberapa ETag dipisah koma, atau '*'. Prefix weak (W/) diabaikan.
+export const ifMatchSatisfied = (header, version) => header.split(',')
+  .map(tag => tag.trim().replace(/^W\//, ''))
+  .some(tag => tag === '*' || tag === toEtag(version));
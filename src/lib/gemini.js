@@ -127,7 +127,7 @@ export async function processScanRequest(c, env) {
     }
 
     const categoriesStmt = env.DB.prepare(
-        "SELECT id, name FROM categories WHERE book_id = ? AND type = 'EXPENSE'"
+        "SELECT id, name FROM categories WHERE book_id = ? AND type = 'EXPENSE' AND deleted_at IS NULL"
     );
     const { results: userCategories } = await categoriesStmt.bind(book_id).all();
 
@@ -0,0 +1,45 @@
+// src/lib/goals.js
+// Progres dan proyeksi tujuan tabungan. Nominal dalam sen (seperti kolom goals.target_amount),
+// tanggal berupa string 'YYYY-MM-DD'.
+import { isValidDate } from './recurrence.js';
+
+export const GOAL_FUNDING_SOURCES = ['MANUAL', 'ACCOUNT', 'CONTRIBUTIONS'];
+
+// Sisa bulan sampai targetDate; bulan yang tidak penuh tetap dihitung. 0 jika target sudah lewat.
+const monthsUntil = (today, targetDate) => {
+  if (targetDate < today) return 0;
+  const [fromYear, fromMonth, fromDay] = today.split('-').map(Number);
+  const [toYear, toMonth, toDay] = targetDate.split('-').map(Number);
+  const months = (toYear - fromYear) * 12 + (toMonth - fromMonth) + (toDay > fromDay ? 1 : 0);
+  return Math.max(months, 1);
+};
+
+/**
+ * Baris goal (dengan kolom ledger_amount dari query) -> data API.
+ * Untuk goal ACCOUNT/CONTRIBUTIONS, current_amount dan is_achieved dihitung dari buku besar;
+ * goal MANUAL tetap memakai nilai yang tersimpan.
+ */
+export const withGoalProgress = (goal, today) => {
+  const { ledger_amount, ...row } = goal;
+  const derived = row.funding_source !== 'MANUAL';
+  const current = derived ? ledger_amount || 0 : row.current_amount || 0;
+  const remaining = Math.max(row.target_amount - current, 0);
+  const monthsRemaining = isValidDate(row.target_date) ? monthsUntil(today, row.target_date) : null;
+
+  let requiredMonthlySaving = null;
+  if (remaining === 0) requiredMonthlySaving = 0;
+  else if (monthsRemaining) requiredMonthlySaving = Math.ceil(remaining / monthsRemaining);
+
+  return {
+    ...row,
+    current_amount: current,
+    is_achieved: derived ? (current >= row.target_amount ? 1 : 0) : row.is_achieved,
+    remaining_amount: remaining,
+    percentage: row.target_amount > 0 ? Math.round((current / row.target_amount) * 1000) / 10 : null,
+    projection: {
+      months_remaining: monthsRemaining,
+      required_monthly_saving: requiredMonthlySaving, // null jika target_date kosong atau sudah lewat
+      is_overdue: monthsRemaining === 0 && remaining > 0
+    }
+  };
+};
@@ -1,11 +1,16 @@
 // src/lib/jwt.js
 import { sign, verify } from 'hono/jwt';
 
-// Fungsi untuk membuat token sesi baru setelah user berhasil login
-export const createSessionToken = async (c, userId) => {
+// Access token sengaja dibuat singkat; sesi diperpanjang lewat refresh token
+export const ACCESS_TOKEN_TTL_SECONDS = 60 * 15; // 15 menit
+export const REFRESH_TOKEN_TTL_SECONDS = 60 * 60 * 24 * 30; // 30 hari
+
+// Fungsi untuk membuat access token baru untuk sebuah sesi
+export const createSessionToken = async (c, userId, sessionId) => {
   const payload = {
     sub: userId, // 'sub' (subject) adalah standar klaim untuk ID user
-    exp: Math.floor(Date.now() / 1000) + (60 * 60 * 24 * 7), // Token berlaku selama 7 hari
+    sid: sessionId, // ID sesi di tabel 'sessions', dipakai untuk mengecek pencabutan
+    exp: Math.floor(Date.now() / 1000) + ACCESS_TOKEN_TTL_SECONDS,
   };
   // JWT_SECRET adalah variabel rahasia yang kita set di environment Worker
   const token = await sign(payload, c.env.JWT_SECRET);
@@ -15,9 +20,29 @@ export const createSessionToken = async (c, userId) => {
 // Fungsi untuk memverifikasi token yang masuk
 export const verifySessionToken = async (c, token) => {
   try {
-    const decodedPayload = await verify(token, c.env.JWT_SECRET);
+    // Algoritma disebutkan eksplisit; Hono versi baru mewajibkannya saat verifikasi
+    const decodedPayload = await verify(token, c.env.JWT_SECRET, 'HS256');
     return decodedPayload;
   } catch (error) {
     return null; // Token tidak valid atau kedaluwarsa
   }
-};
\ No newline at end of file
+};
+
+// [BARU] Token tantangan 2FA: bukti bahwa kata sandi sudah benar, berlaku singkat.
+// Tidak punya 'sid', jadi middleware 'protect' otomatis menolaknya sebagai access token.
+export const createTwoFactorChallengeToken = async (c, userId) => {
+  const payload = {
+    sub: userId,
+    typ: '2fa_challenge',
+    exp: Math.floor(Date.now() / 1000) + (60 * 5), // 5 menit untuk memasukkan kode
+  };
+  return await sign(payload, c.env.JWT_SECRET);
+};
+
+export const verifyTwoFactorChallengeToken = async (c, token) => {
+  const decoded = await verifySessionToken(c, token);
+  if (!decoded || decoded.typ !== '2fa_challenge') {
+    return null;
+  }
+  return decoded;
+};
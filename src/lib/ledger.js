@@ -0,0 +1,88 @@
+// src/lib/ledger.js
+// Aturan pembukuan transaksi, dipakai bersama oleh create/update/batch transaksi.
+//
+// - EXPENSE : satu split DEBIT per baris kategori (+), satu split CREDIT akun sumber (-total)
+// - INCOME  : satu split DEBIT akun tujuan (+total), satu split CREDIT per baris kategori (-)
+// - TRANSFER: split DEBIT akun tujuan (+), split CREDIT akun sumber (-), tanpa kategori
+//
+// Split tanpa kategori adalah "kaki akun": jumlahnya sama dengan perubahan saldo akun tersebut.
+
+export const TRANSACTION_TYPES = ['EXPENSE', 'INCOME', 'TRANSFER'];
+
+// Baris kategori dari body: 'splits: [{ category_id, amount, memo }]', atau format lama 'category_id' + 'amount'
+const normalizeLines = (data) => {
+  const lines = Array.isArray(data.splits) && data.splits.length > 0
+    ? data.splits
+    : [{ category_id: data.category_id, amount: data.amount }];
+  return lines.map(line => ({
+    category_id: line.category_id || null,
+    amount: Math.round(Number(line.amount)),
+    memo: line.memo ? String(line.memo).trim() || null : null
+  }));
+};
+
+/**
+ * Menyusun baris transaction_splits dari body transaksi.
+ * Mengembalikan { splits, amount } atau { error }.
+ */
+export const buildTransactionSplits = (data) => {
+  if (!TRANSACTION_TYPES.includes(data.type)) {
+    return { error: 'Invalid transaction type' };
+  }
+
+  let splits;
+  let amount;
+
+  if (data.type === 'TRANSFER') {
+    amount = Math.round(data.amount);
+    if (!amount || amount <= 0) return { error: 'Invalid amount' };
+    if (!data.from_account_id || !data.to_account_id || data.from_account_id === data.to_account_id) {
+      return { error: 'A transfer needs two different accounts' };
+    }
+    splits = [
+      { account_id: data.to_account_id, category_id: null, amount, type: 'DEBIT', memo: null },
+      { account_id: data.from_account_id, category_id: null, amount: -amount, type: 'CREDIT', memo: null }
+    ];
+  } else {
+    const lines = normalizeLines(data);
+    for (const line of lines) {
+      if (!line.amount || line.amount <= 0) return { error: 'Invalid amount' };
+      if (!line.category_id) return { error: 'Each split line needs a category' };
+    }
+    amount = lines.reduce((sum, line) => sum + line.amount, 0);
+    if (Array.isArray(data.splits) && data.splits.length > 0 && data.amount != null && Math.round(data.amount) !== amount) {
+      return { error: 'Split amounts must add up to the transaction amount' };
+    }
+
+    const accountId = data.type === 'EXPENSE' ? data.from_account_id : data.to_account_id;
+    if (!accountId) return { error: 'Account is required' };
+
+    if (data.type === 'EXPENSE') {
+      splits = [
+        ...lines.map(line => ({ account_id: accountId, category_id: line.category_id, amount: line.amount, type: 'DEBIT', memo: line.memo })),
+        { account_id: accountId, category_id: null, amount: -amount, type: 'CREDIT', memo: null }
+      ];
+    } else {
+      splits = [
+        { account_id: accountId, category_id: null, amount, type: 'DEBIT', memo: null },
+        ...lines.map(line => ({ account_id: accountId, category_id: line.category_id, amount: -line.amount, type: 'CREDIT', memo: line.memo }))
+      ];
+    }
+  }
+
+  // Debit dan kredit harus seimbang
+  if (splits.reduce((sum, split) => sum + split.amount, 0) !== 0) {
+    return { error: 'Debits and credits do not balance' };
+  }
+  return { splits, amount };
+};
+
+// Perubahan saldo per akun dari sekumpulan split: { [accountId]: delta }
+export const balanceEffects = (splits) => {
+  const effects = {};
+  for (const split of splits) {
+    if (split.category_id || !split.account_id) continue;
+    effects[split.account_id] = (effects[split.account_id] || 0) + split.amount;
+  }
+  return effects;
+};
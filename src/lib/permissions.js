@@ -0,0 +1,37 @@
+// src/lib/permissions.js
+// Matriks izin per peran anggota buku (kolom book_members.role)
+
+export const ROLES = ['OWNER', 'ADMIN', 'EDITOR', 'VIEWER'];
+
+const VIEWER_PERMISSIONS = ['book:read'];
+const EDITOR_PERMISSIONS = [...VIEWER_PERMISSIONS, 'entries:write'];
+const ADMIN_PERMISSIONS = [...EDITOR_PERMISSIONS, 'book:update', 'settings:update', 'members:invite'];
+const OWNER_PERMISSIONS = [...ADMIN_PERMISSIONS, 'book:delete', 'members:manage', 'book:transfer'];
+
+/**
+ * - book:read        melihat semua data buku (transaksi, laporan, ekspor, dll)
+ * - entries:write    membuat/mengubah/menghapus transaksi, akun, kategori, kontak, anggaran, dll
+ * - book:update      mengubah nama/ikon buku
+ * - settings:update  mengubah pengaturan buku
+ * - members:invite   mengundang anggota & mengelola undangan
+ * - members:manage   mengubah peran dan mengeluarkan anggota
+ * - book:delete      menghapus buku
+ * - book:transfer    mengalihkan kepemilikan buku
+ */
+export const ROLE_PERMISSIONS = {
+  OWNER: OWNER_PERMISSIONS,
+  ADMIN: ADMIN_PERMISSIONS,
+  EDITOR: EDITOR_PERMISSIONS,
+  VIEWER: VIEWER_PERMISSIONS
+};
+
+// Peran lama/tidak dikenal diperlakukan sebagai EDITOR (perilaku sebelum ada matriks izin)
+export const normalizeRole = (role) => {
+  const upper = String(role || '').toUpperCase();
+  return ROLES.includes(upper) ? upper : 'EDITOR';
+};
+
+export const hasPermission = (role, permission) => ROLE_PERMISSIONS[normalizeRole(role)].includes(permission);
+
+// Peran yang boleh diberikan lewat undangan oleh peran tertentu (OWNER hanya lewat transfer kepemilikan)
+export const assignableRoles = (role) => (normalizeRole(role) === 'OWNER' ? ['ADMIN', 'EDITOR', 'VIEWER'] : ['EDITOR', 'VIEWER']);
@@ -0,0 +1,67 @@
+// src/lib/recurrence.js
+// Perhitungan jadwal transaksi berulang. Semua tanggal berupa string 'YYYY-MM-DD' (UTC).
+
+export const RECURRENCE_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+const parseDate = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return { year, month, day };
+};
+const formatDate = (year, month, day) =>
+  `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+export const isValidDate = (value) => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const { year, month, day } = parseDate(value);
+  return month >= 1 && month <= 12 && day >= 1 && day <= daysInMonth(year, month);
+};
+
+export const toDateString = (date) => date.toISOString().slice(0, 10);
+
+export const addDays = (value, days) => {
+  const date = new Date(`${value}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDateString(date);
+};
+
+// Selalu dihitung dari tanggal jangkar (bukan dari jadwal sebelumnya) agar tanggal 31 tidak
+// "bergeser": 31 Jan -> 28/29 Feb -> 31 Mar, dan 29 Feb -> 28 Feb di tahun non-kabisat.
+// Jangkar boleh berhari lebih dari panjang bulannya (misal '2026-02-31'); hasilnya tetap dipangkas.
+export const addMonthsClamped = (anchorDate, months) => {
+  const { year, month, day } = parseDate(anchorDate);
+  const index = (month - 1) + months;
+  const targetYear = year + Math.floor(index / 12);
+  const targetMonth = ((index % 12) + 12) % 12 + 1;
+  return formatDate(targetYear, targetMonth, Math.min(day, daysInMonth(targetYear, targetMonth)));
+};
+
+/**
+ * Jadwal berikutnya setelah dueDate.
+ * anchorDate: tanggal mulai jadwal (start_date); menentukan tanggal dalam bulan untuk MONTHLY/YEARLY.
+ */
+export const nextDueDate = (frequency, anchorDate, dueDate) => {
+  const anchor = parseDate(anchorDate);
+  const due = parseDate(dueDate);
+  switch (frequency) {
+    case 'DAILY':
+      return addDays(dueDate, 1);
+    case 'WEEKLY':
+      return addDays(dueDate, 7);
+    case 'MONTHLY':
+      return addMonthsClamped(anchorDate, (due.year - anchor.year) * 12 + (due.month - anchor.month) + 1);
+    case 'YEARLY':
+      return addMonthsClamped(anchorDate, (due.year - anchor.year + 1) * 12);
+    default:
+      throw new Error(`Unknown frequency: ${frequency}`);
+  }
+};
+
+// Jadwal pertama yang jatuh pada/setelah 'date' (dipakai saat jadwal dilanjutkan setelah dijeda)
+export const firstDueDateOnOrAfter = (frequency, anchorDate, dueDate, date) => {
+  let next = dueDate;
+  while (next < date) {
+    next = nextDueDate(frequency, anchorDate, next);
+  }
+  return next;
+};
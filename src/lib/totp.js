@@ -0,0 +1,85 @@
+// src/lib/totp.js
+// Implementasi TOTP (RFC 6238) dengan Web Crypto, kompatibel dengan Google Authenticator, Authy, dll.
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+const base32Encode = (bytes) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+  let bits = 0;
+  let value = 0;
+  const output = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      output.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return new Uint8Array(output);
+};
+
+const hotp = async (secretBytes, counter) => {
+  const key = await crypto.subtle.importKey('raw', secretBytes, { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']);
+  const counterBytes = new Uint8Array(8);
+  let remaining = counter;
+  for (let i = 7; i >= 0; i--) {
+    counterBytes[i] = remaining & 0xff;
+    remaining = Math.floor(remaining / 256);
+  }
+  const signature = new Uint8Array(await crypto.subtle.sign('HMAC', key, counterBytes));
+  const offset = signature[signature.length - 1] & 0x0f;
+  const binary = ((signature[offset] & 0x7f) << 24)
+    | (signature[offset + 1] << 16)
+    | (signature[offset + 2] << 8)
+    | signature[offset + 3];
+  return String(binary % (10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+};
+
+// Rahasia baru 160-bit (ukuran yang direkomendasikan RFC 4226)
+export const generateTotpSecret = () => base32Encode(crypto.getRandomValues(new Uint8Array(20)));
+
+export const buildOtpAuthUri = ({ secret, accountName, issuer = 'Casflo' }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(TOTP_DIGITS), period: String(TOTP_STEP_SECONDS) });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Memverifikasi kode TOTP dengan toleransi +/- 'window' langkah waktu (jam HP yang sedikit meleset).
+ * Mengembalikan nomor langkah (time step) yang cocok, atau null jika kode salah.
+ * Nomor langkah dipakai pemanggil untuk menolak kode yang sama dipakai dua kali.
+ */
+export const verifyTotp = async (secret, code, window = 1) => {
+  if (!secret || !/^\d{6}$/.test(String(code || ''))) return null;
+  const secretBytes = base32Decode(secret);
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+  for (let drift = -window; drift <= window; drift++) {
+    if (await hotp(secretBytes, currentStep + drift) === String(code)) {
+      return currentStep + drift;
+    }
+  }
+  return null;
+};
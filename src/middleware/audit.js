@@ -0,0 +1,44 @@
+// src/middleware/audit.js
+import { createAuditLog, findAuditSnapshot } from '../db/queries.js';
+
+// Dipasang di rute yang mengubah data buku, setelah pengecekan izin.
+// - entityType: nama entitas, atau fungsi (c) => nama (misal untuk rute tempat sampah)
+// - options.param: parameter URL berisi ID entitas. Tanpa param, ID diambil dari respons
+//   (data.id, atau data.ids untuk batch) sehingga rute 'create' ikut tercatat.
+// Snapshot diambil sebelum dan sesudah handler; log hanya ditulis jika respons sukses.
+export const audit = (action, entityType, options = {}) => async (c, next) => {
+  const type = typeof entityType === 'function' ? entityType(c) : entityType;
+  const paramId = options.param ? c.req.param(options.param) : null;
+  const before = paramId ? await findAuditSnapshot(c.env.DB, type, c.req.param('bookId'), paramId) : null;
+
+  await next();
+
+  if (c.res.status >= 400) return;
+  try {
+    let entityIds = [paramId];
+    if (!paramId) {
+      const { data } = await c.res.clone().json();
+      entityIds = data && Array.isArray(data.ids) ? data.ids : [data && data.id];
+    }
+
+    const user = c.get('user');
+    for (const entityId of entityIds) {
+      // Buku baru belum punya bookId di URL
+      const bookId = c.req.param('bookId') || (type === 'book' ? entityId : null);
+      if (!bookId) continue;
+      await createAuditLog(c.env.DB, {
+        book_id: bookId,
+        actor_id: user.id,
+        api_token_id: user.apiTokenId,
+        action,
+        entity_type: type,
+        entity_id: entityId,
+        before,
+        after: await findAuditSnapshot(c.env.DB, type, bookId, entityId)
+      });
+    }
+  } catch (error) {
+    // Kegagalan mencatat tidak boleh membatalkan perubahan yang sudah tersimpan
+    console.error('Failed to write audit log:', error);
+  }
+};
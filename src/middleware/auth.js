@@ -1,5 +1,29 @@
 // src/middleware/auth.js
 import { verifySessionToken } from '../lib/jwt.js';
+import { sha256Hex } from '../lib/crypto.js';
+import { findSessionById, findApiTokenByHash, touchApiToken } from '../db/queries.js';
+
+// [BARU] Awalan personal access token, membedakannya dari JWT sesi
+export const API_TOKEN_PREFIX = 'cfl_pat_';
+
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// [BARU] Autentikasi dengan personal access token
+const authenticateApiToken = async (c, token, next) => {
+  const apiToken = await findApiTokenByHash(c.env.DB, await sha256Hex(token));
+  if (!apiToken || apiToken.revoked_at || (apiToken.expires_at && new Date(apiToken.expires_at) < new Date())) {
+    return c.json({ success: false, error: { message: 'Invalid, revoked or expired API token' } }, 401);
+  }
+  if (apiToken.scope !== 'write' && !READ_ONLY_METHODS.includes(c.req.method)) {
+    return c.json({ success: false, error: { message: 'Forbidden: This API token is read-only.' } }, 403);
+  }
+
+  // Catat pemakaian terakhir tanpa menahan respons
+  c.executionCtx.waitUntil(touchApiToken(c.env.DB, apiToken.id));
+
+  c.set('user', { id: apiToken.user_id, apiTokenId: apiToken.id, apiTokenBookIds: apiToken.book_ids });
+  await next();
+};
 
 export const protect = async (c, next) => {
   const authHeader = c.req.header('Authorization');
@@ -9,14 +33,33 @@ export const protect = async (c, next) => {
   }
 
   const token = authHeader.split(' ')[1];
+  if (token.startsWith(API_TOKEN_PREFIX)) {
+    return await authenticateApiToken(c, token, next);
+  }
+
   const decoded = await verifySessionToken(c, token);
 
-  if (!decoded) {
+  if (!decoded || !decoded.sid) {
     return c.json({ success: false, error: { message: 'Invalid or expired token' } }, 401);
   }
 
-  // Simpan payload (berisi user ID) di konteks untuk digunakan di rute
-  c.set('user', { id: decoded.sub });
+  // Pastikan sesi di server masih aktif (belum logout / dicabut)
+  const session = await findSessionById(c.env.DB, decoded.sid);
+  if (!session || session.user_id !== decoded.sub || session.revoked_at || new Date(session.expires_at) < new Date()) {
+    return c.json({ success: false, error: { message: 'Session has been revoked or expired' } }, 401);
+  }
+
+  // Simpan payload (berisi user ID & ID sesi) di konteks untuk digunakan di rute
+  c.set('user', { id: decoded.sub, sessionId: decoded.sid });
 
   await next();
-};
\ No newline at end of file
+};
+
+// [BARU] Untuk pengaturan akun (kata sandi, token, 2FA, dll): tolak personal access token.
+// Dipasang setelah 'protect'.
+export const requireSession = async (c, next) => {
+  if (!c.get('user').sessionId) {
+    return c.json({ success: false, error: { message: 'Forbidden: This action requires signing in, not an API token.' } }, 403);
+  }
+  await next();
+};
@@ -0,0 +1,14 @@
+// src/middleware/bookResource.js
+import { BOOK_RESOURCES, findBookResource } from '../db/queries.js';
+
+// Dipasang setelah checkBookMembership. Memuat sumber daya dari parameter URL hanya jika
+// milik buku di URL (selain itu 404), lalu menyimpannya di konteks dengan nama 'resource'.
+export const loadBookResource = (resource, param) => async (c, next) => {
+  const { bookId } = c.req.param();
+  const record = await findBookResource(c.env.DB, resource, bookId, c.req.param(param));
+  if (!record) {
+    return c.json({ success: false, error: { message: `${BOOK_RESOURCES[resource].label} not found` } }, 404);
+  }
+  c.set(resource, record);
+  await next();
+};
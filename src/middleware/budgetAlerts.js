@@ -0,0 +1,84 @@
+// src/middleware/budgetAlerts.js
+import {
+  findBudgetsByCategoryIds, findBudgetPeriods, findSettingsByBookId, findBookById,
+  findMembersByBookId, claimBudgetAlerts, createNotifications
+} from '../db/queries.js';
+import { budgetAlertThresholds } from '../lib/budgets.js';
+import { sendBudgetAlertEmail } from '../lib/email.js';
+import { toDateString } from '../lib/recurrence.js';
+
+// Kategori dari body transaksi tunggal, atau dari 'transactions' pada batch
+const categoryIdsFromBody = (body) => {
+  const items = Array.isArray(body.transactions) ? body.transactions : [body];
+  const ids = items.flatMap(item => (item && typeof item === 'object'
+    ? [item.category_id, ...(Array.isArray(item.splits) ? item.splits.map(line => line && line.category_id) : [])]
+    : []));
+  return [...new Set(ids.filter(id => typeof id === 'string'))];
+};
+
+const formatRupiah = (cents) => `Rp ${(cents / 100).toLocaleString('id-ID')}`;
+
+// Periksa anggaran yang memuat kategori tersebut pada periode berjalan, lalu kirim peringatan
+// untuk ambang yang baru terlewati. Jika beberapa ambang terlewati sekaligus, hanya yang tertinggi dikirim.
+const evaluateBudgetAlerts = async (env, bookId, categoryIds) => {
+  const budgets = await findBudgetsByCategoryIds(env.DB, bookId, categoryIds);
+  if (budgets.length === 0) return;
+  const settings = await findSettingsByBookId(env.DB, bookId);
+  const asOf = toDateString(new Date());
+
+  for (const budget of budgets) {
+    const periods = await findBudgetPeriods(env.DB, budget, { startOfMonth: settings.start_of_month, asOf });
+    const period = periods[periods.length - 1];
+    if (period.percentage === null) continue;
+    const crossed = budgetAlertThresholds(budget).filter(threshold => period.percentage >= threshold);
+    const claimed = await claimBudgetAlerts(env.DB, budget.id, period.start_date, crossed, period.percentage);
+    if (claimed.length === 0) continue;
+
+    const threshold = Math.max(...claimed);
+    const members = await findMembersByBookId(env.DB, bookId);
+    await createNotifications(env.DB, members.map(member => ({
+      user_id: member.id,
+      book_id: bookId,
+      type: 'BUDGET_ALERT',
+      title: threshold >= 100 ? `Anggaran ${budget.name} terlampaui` : `Anggaran ${budget.name} terpakai ${threshold}%`,
+      body: `Terpakai ${formatRupiah(period.spent)} dari ${formatRupiah(period.available)} (${period.percentage}%) · ${period.start_date} s/d ${period.end_date}`,
+      entity_type: 'budget',
+      entity_id: budget.id,
+      dedupe_key: `budget:${budget.id}:${period.start_date}:${threshold}`
+    })));
+
+    if (!budget.alert_email) continue;
+    const book = await findBookById(env.DB, bookId);
+    for (const member of members.filter(m => m.email)) {
+      await sendBudgetAlertEmail({ env }, {
+        to: member.email,
+        bookName: book.name,
+        budgetName: budget.name,
+        threshold,
+        spent: period.spent / 100,
+        available: period.available / 100,
+        periodStart: period.start_date,
+        periodEnd: period.end_date,
+        appUrl: env.APP_BASE_URL
+      });
+    }
+  }
+};
+
+/**
+ * Dipasang di rute create/update/batch transaksi. Setelah transaksi tersimpan, anggaran yang
+ * kategorinya tersentuh diperiksa di latar belakang (tidak menahan respons). Setiap ambang
+ * (budgets.alert_thresholds, bawaan 80% dan 100%) hanya dikirim sekali per periode.
+ */
+export const budgetAlerts = async (c, next) => {
+  await next();
+
+  if (c.res.status >= 400) return;
+  const { bookId } = c.req.param();
+  const categoryIds = categoryIdsFromBody(await c.req.json());
+  if (categoryIds.length === 0) return;
+  c.executionCtx.waitUntil(
+    evaluateBudgetAlerts(c.env, bookId, categoryIds)
+      .catch(error => console.error('Failed to evaluate budget alerts:', error))
+  );
+};
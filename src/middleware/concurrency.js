@@ -0,0 +1,52 @@
+// src/middleware/concurrency.js
+import { findVersionedResource } from '../db/queries.js';
+import { toEtag, ifMatchSatisfied } from '../lib/etag.js';
+
+const conflictResponse = (c, current) => {
+  c.header('ETag', toEtag(current.version));
+  return c.json({
+    success: false,
+    error: { message: 'This item was changed by someone else. Review the current version and try again.' },
+    data: current
+  }, 412);
+};
+
+/**
+ * Optimistic concurrency untuk PUT/DELETE. Dipasang setelah checkBookMembership (dan loadBookResource).
+ * - Tanpa header If-Match: 428
+ * - ETag tidak cocok (sudah diubah anggota lain): 412 dengan data terkini di 'data'
+ * Versi yang lolos pengecekan disimpan di c.get('ifMatchVersion'). Query update memakainya di
+ * 'WHERE version = ?' agar dua permintaan dengan ETag yang sama tidak sama-sama tersimpan.
+ * Setelah PUT berhasil, ETag versi baru dikirim di header respons.
+ */
+export const requireIfMatch = (resource, param) => async (c, next) => {
+  const { bookId } = c.req.param();
+  const id = param ? c.req.param(param) : null;
+  const ifMatch = c.req.header('If-Match');
+  if (!ifMatch) {
+    return c.json({ success: false, error: { message: 'If-Match header is required. Send the ETag from your last GET.' } }, 428);
+  }
+
+  const current = await findVersionedResource(c.env.DB, resource, bookId, id);
+  if (!ifMatchSatisfied(ifMatch, current.version)) {
+    return conflictResponse(c, current);
+  }
+  c.set('ifMatchVersion', current.version);
+
+  await next();
+
+  if (c.req.method === 'PUT' && c.res.status < 400) {
+    const updated = await findVersionedResource(c.env.DB, resource, bookId, id);
+    if (updated) c.res.headers.set('ETag', toEtag(updated.version));
+  }
+};
+
+// Dipakai handler saat query update/hapus mengembalikan { conflict: true } (versi berubah di antara pengecekan dan penulisan).
+// Jika item sudah dihapus permintaan lain, balas 404.
+export const versionConflict = async (c, resource, param) => {
+  const current = await findVersionedResource(c.env.DB, resource, c.req.param('bookId'), param ? c.req.param(param) : null);
+  if (!current) {
+    return c.json({ success: false, error: { message: 'This item was deleted by someone else.' } }, 404);
+  }
+  return conflictResponse(c, current);
+};
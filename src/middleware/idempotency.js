@@ -0,0 +1,64 @@
+// src/middleware/idempotency.js
+import { sha256Hex } from '../lib/crypto.js';
+import {
+  reserveIdempotencyKey, findIdempotencyKey, saveIdempotentResponse, releaseIdempotencyKey
+} from '../db/queries.js';
+
+const MAX_KEY_LENGTH = 255;
+
+// Hash body permintaan. Boundary multipart berbeda di setiap pengiriman, jadi untuk upload
+// yang di-hash adalah isi field-nya. Hono meng-cache body, handler tetap bisa membacanya.
+const hashRequestBody = async (c) => {
+  if (!(c.req.header('Content-Type') || '').startsWith('multipart/form-data')) {
+    return await sha256Hex(await c.req.arrayBuffer());
+  }
+  const parts = [];
+  for (const [name, value] of await c.req.formData()) {
+    parts.push(typeof value === 'string'
+      ? `${name}=${value}`
+      : `${name}=${value.name};${value.type};${await sha256Hex(await value.arrayBuffer())}`);
+  }
+  return await sha256Hex(parts.join('\n'));
+};
+
+/**
+ * Header 'Idempotency-Key' (opsional) untuk endpoint yang membuat data. Dipasang setelah 'protect'.
+ * - Kunci + permintaan yang sama: respons pertama diputar ulang (header 'Idempotent-Replayed: true')
+ * - Kunci sama, permintaan berbeda (method, path, atau body): 409
+ * - Permintaan pertama masih berjalan: 409, klien boleh mencoba lagi sebentar lagi
+ * Kunci berlaku per user selama IDEMPOTENCY_KEY_TTL_SECONDS. Respons 5xx tidak disimpan.
+ */
+export const idempotent = async (c, next) => {
+  const key = c.req.header('Idempotency-Key');
+  if (!key) {
+    return await next();
+  }
+  if (key.length > MAX_KEY_LENGTH) {
+    return c.json({ success: false, error: { message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters.` } }, 400);
+  }
+
+  const userId = c.get('user').id;
+  const requestHash = await sha256Hex(`${c.req.method} ${c.req.path}\n${await hashRequestBody(c)}`);
+
+  if (!(await reserveIdempotencyKey(c.env.DB, userId, key, requestHash))) {
+    const existing = await findIdempotencyKey(c.env.DB, userId, key);
+    if (!existing || existing.request_hash !== requestHash) {
+      return c.json({ success: false, error: { message: 'This Idempotency-Key was already used for a different request.' } }, 409);
+    }
+    if (existing.response_status === null) {
+      return c.json({ success: false, error: { message: 'A request with this Idempotency-Key is still being processed.' } }, 409);
+    }
+    return c.body(existing.response_body, existing.response_status, {
+      'Content-Type': 'application/json; charset=UTF-8',
+      'Idempotent-Replayed': 'true'
+    });
+  }
+
+  await next();
+
+  if (c.res.status >= 500) {
+    await releaseIdempotencyKey(c.env.DB, userId, key);
+    return;
+  }
+  await saveIdempotentResponse(c.env.DB, userId, key, c.res.status, await c.res.clone().text());
+};
@@ -0,0 +1,11 @@
+// src/middleware/permissions.js
+import { hasPermission } from '../lib/permissions.js';
+
+// Dipasang setelah checkBookMembership (yang menyimpan 'member' di konteks)
+export const requirePermission = (permission) => async (c, next) => {
+  const member = c.get('member');
+  if (!member || !hasPermission(member.role, permission)) {
+    return c.json({ success: false, error: { message: 'Forbidden: Your role in this book does not allow this action.' } }, 403);
+  }
+  await next();
+};
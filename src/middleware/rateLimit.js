@@ -0,0 +1,57 @@
+// src/middleware/rateLimit.js
+import { hitRateLimit, peekRateLimit } from '../db/queries.js';
+
+// --- Pembuat kunci (key) untuk rate limit ---
+export const byIp = (c) => c.req.header('CF-Connecting-IP') || null;
+
+export const byUser = (c) => c.get('user')?.id || null;
+
+// Membaca 'email' dari body JSON. Hono meng-cache body, jadi handler tetap bisa memanggil c.req.json().
+export const byEmail = async (c) => {
+  try {
+    const body = await c.req.json();
+    return typeof body.email === 'string' ? body.email.trim().toLowerCase() : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Respons 429 standar; resetAt dalam epoch detik
+export const tooManyRequests = (c, resetAt) => {
+  const retryAfter = Math.max(1, resetAt - Math.floor(Date.now() / 1000));
+  c.header('Retry-After', String(retryAfter));
+  return c.json({ success: false, error: { message: 'Too many requests. Please try again later.' } }, 429);
+};
+
+/**
+ * Middleware rate limit berbasis D1.
+ * - name: nama batas, dipakai sebagai prefix kunci (misal 'login:ip')
+ * - limit & windowSeconds: jumlah maksimum dalam satu jendela waktu
+ * - key: fungsi (c) => string; jika mengembalikan null, batas dilewati
+ * - failuresOnly: jika true, hanya respons gagal (4xx) yang dihitung (penghitung percobaan)
+ */
+export const rateLimit = ({ name, limit, windowSeconds, key, failuresOnly = false }) => async (c, next) => {
+  const identifier = await key(c);
+  if (!identifier) {
+    return await next();
+  }
+  const bucketKey = `${name}:${identifier}`;
+
+  if (failuresOnly) {
+    const current = await peekRateLimit(c.env.DB, bucketKey);
+    if (current && current.count >= limit) {
+      return tooManyRequests(c, current.reset_at);
+    }
+    await next();
+    if (c.res.status >= 400 && c.res.status < 500 && c.res.status !== 429) {
+      await hitRateLimit(c.env.DB, bucketKey, windowSeconds);
+    }
+    return;
+  }
+
+  const { count, reset_at } = await hitRateLimit(c.env.DB, bucketKey, windowSeconds);
+  if (count > limit) {
+    return tooManyRequests(c, reset_at);
+  }
+  await next();
+};
@@ -0,0 +1,36 @@
+// src/routes/attachments.js
+import { Hono } from 'hono';
+import * as q from '../db/queries.js';
+import { verifyDownloadSignature } from '../lib/attachments.js';
+
+// [BARU] Unduhan lampiran lewat link bertanda tangan (tanpa 'protect').
+// Link dibuat oleh rute lampiran di /books/:bookId yang sudah memeriksa keanggotaan.
+const attachmentRoutes = new Hono();
+
+attachmentRoutes.get('/:attachmentId/download', async (c) => {
+    const { attachmentId } = c.req.param();
+    const { expires, signature } = c.req.query();
+
+    if (!await verifyDownloadSignature(c, attachmentId, expires, signature)) {
+        return c.json({ success: false, error: { message: 'Download link is invalid or has expired' } }, 403);
+    }
+
+    const attachment = await q.findAttachmentById(c.env.DB, attachmentId);
+    const object = attachment && await c.env.ATTACHMENTS.get(attachment.r2_key);
+    if (!object) {
+        return c.json({ success: false, error: { message: 'Attachment not found' } }, 404);
+    }
+
+    const fileName = (attachment.file_name || attachment.id).replace(/["\r\n]/g, '');
+    return new Response(object.body, {
+        headers: {
+            'Content-Type': attachment.mime_type,
+            'Content-Length': String(attachment.size),
+            'Content-Disposition': `inline; filename="${fileName}"`,
+            'Cache-Control': 'private, max-age=900',
+            'X-Content-Type-Options': 'nosniff'
+        }
+    });
+});
+
+export default attachmentRoutes;
@@ -1,15 +1,121 @@
 // src/routes/auth.js
 import { Hono } from 'hono';
+import { getCookie, setCookie, deleteCookie } from 'hono/cookie';
 import bcrypt from 'bcryptjs';
-import { protect } from '../middleware/auth.js';
+import { protect, requireSession } from '../middleware/auth.js';
+import { rateLimit, tooManyRequests, byIp, byEmail } from '../middleware/rateLimit.js';
 import * as q from '../db/queries.js';
-import { createSessionToken } from '../lib/jwt.js';
-import { sendVerificationEmail } from '../lib/email.js';
+import { createSessionToken, createTwoFactorChallengeToken, verifyTwoFactorChallengeToken, ACCESS_TOKEN_TTL_SECONDS, REFRESH_TOKEN_TTL_SECONDS } from '../lib/jwt.js';
+import { generateRandomToken, sha256Hex, sha256Base64Url } from '../lib/crypto.js';
+import { generateTotpSecret, buildOtpAuthUri, verifyTotp } from '../lib/totp.js';
+import { sendVerificationEmail, sendPasswordResetEmail } from '../lib/email.js';
+import { purgeBookAttachmentObjects } from '../lib/attachments.js';
 
 const authRoutes = new Hono();
 
+// [BARU] Batas percobaan kode OTP yang salah sebelum kode dikunci
+const MAX_CODE_ATTEMPTS = 5;
+
+// [BARU] Kunci rate limit untuk langkah 2FA: user dari challenge token
+const byChallengeUser = async (c) => {
+    try {
+        const { challengeToken } = await c.req.json();
+        const decoded = await verifyTwoFactorChallengeToken(c, challengeToken);
+        return decoded ? decoded.sub : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// [BARU] Batas permintaan untuk endpoint yang rawan brute-force / spam email
+const limits = {
+    loginIp: rateLimit({ name: 'login:ip', limit: 20, windowSeconds: 15 * 60, key: byIp }),
+    loginEmail: rateLimit({ name: 'login:email', limit: 5, windowSeconds: 15 * 60, key: byEmail, failuresOnly: true }),
+    registerIp: rateLimit({ name: 'register:ip', limit: 10, windowSeconds: 60 * 60, key: byIp }),
+    registerEmail: rateLimit({ name: 'register:email', limit: 3, windowSeconds: 60 * 60, key: byEmail }),
+    codeIp: rateLimit({ name: 'code:ip', limit: 20, windowSeconds: 15 * 60, key: byIp }),
+    sendCodeIp: rateLimit({ name: 'send-code:ip', limit: 10, windowSeconds: 60 * 60, key: byIp }),
+    sendCodeEmail: rateLimit({ name: 'send-code:email', limit: 3, windowSeconds: 15 * 60, key: byEmail }),
+    twoFactorUser: rateLimit({ name: '2fa:user', limit: 5, windowSeconds: 15 * 60, key: byChallengeUser, failuresOnly: true }),
+};
+
+// Kode terkunci sampai kedaluwarsa; user harus meminta kode baru
+const codeLocked = (c, stored) => tooManyRequests(c, Math.floor(new Date(stored.expires_at).getTime() / 1000));
+
+// [BARU] Buat sesi baru di D1 dan kembalikan pasangan access token + refresh token
+const issueSession = async (c, userId) => {
+    const sessionId = `ses-${crypto.randomUUID()}`;
+    const refreshToken = generateRandomToken();
+    await q.createSession(c.env.DB, {
+        id: sessionId,
+        user_id: userId,
+        refresh_token_hash: await sha256Hex(refreshToken),
+        user_agent: c.req.header('User-Agent'),
+        ip_address: c.req.header('CF-Connecting-IP'),
+        expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000).toISOString()
+    });
+    const sessionToken = await createSessionToken(c, userId, sessionId);
+    return { sessionToken, refreshToken, expiresIn: ACCESS_TOKEN_TTL_SECONDS };
+};
+
+// [BARU] Buang kolom rahasia sebelum data user dikirim ke klien
+const toPublicUser = (user) => {
+    const { hashed_password, totp_secret, totp_last_used_step, ...userData } = user;
+    return userData;
+};
+
+// [BARU] Akhiri login: jika 2FA aktif, kembalikan challenge alih-alih sesi
+const completeLogin = async (c, user) => {
+    if (user.totp_enabled) {
+        const challengeToken = await createTwoFactorChallengeToken(c, user.id);
+        return { twoFactorRequired: true, challengeToken };
+    }
+    const session = await issueSession(c, user.id);
+    return { ...session, user: toPublicUser(user) };
+};
+
+// [BARU] Cek faktor kedua: kode TOTP dari aplikasi authenticator atau kode pemulihan
+const verifySecondFactor = async (c, user, { code, recoveryCode }) => {
+    if (code) {
+        const step = await verifyTotp(user.totp_secret, code);
+        return step !== null && await q.markTotpStepUsed(c.env.DB, user.id, step);
+    }
+    if (recoveryCode) {
+        const normalized = String(recoveryCode).trim().toLowerCase();
+        return await q.consumeRecoveryCode(c.env.DB, user.id, await sha256Hex(normalized));
+    }
+    return false;
+};
+
+// [BARU] Verifikasi ID token Google dan pastikan token memang diterbitkan untuk aplikasi kita
+const fetchGoogleProfile = async (c, idToken) => {
+    const response = await fetch(`https://www.googleapis.com/oauth2/v3/tokeninfo?id_token=${encodeURIComponent(idToken)}`);
+    if (!response.ok) {
+        return null;
+    }
+    const profile = await response.json();
+    if (profile.aud !== c.env.GOOGLE_CLIENT_ID) {
+        return null;
+    }
+    return { ...profile, email_verified: profile.email_verified === true || profile.email_verified === 'true' };
+};
+
+// [BARU] Buat 10 kode pemulihan; hanya hash-nya yang disimpan
+const RECOVERY_CODE_COUNT = 10;
+const generateRecoveryCodes = async () => {
+    const alphabet = 'abcdefghjkmnpqrstuvwxyz23456789';
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+        const bytes = crypto.getRandomValues(new Uint8Array(10));
+        const chars = [...bytes].map(b => alphabet[b % alphabet.length]).join('');
+        codes.push(`${chars.slice(0, 5)}-${chars.slice(5)}`);
+    }
+    const hashes = await Promise.all(codes.map(code => sha256Hex(code)));
+    return { codes, hashes };
+};
+
 // --- ENDPOINT REGISTRASI & LOGIN MANUAL ---
-authRoutes.post('/register', async (c) => {
+authRoutes.post('/register', limits.registerIp, limits.registerEmail, async (c) => {
     const body = await c.req.json();
     if (body.password !== body.confirmPassword) {
         return c.json({ success: false, error: { message: 'Passwords do not match' } }, 400);
@@ -33,22 +139,32 @@ authRoutes.post('/register', async (c) => {
     }, 201);
 });
 
-authRoutes.post('/verify-email', async (c) => {
+authRoutes.post('/verify-email', limits.codeIp, async (c) => {
     const { email, code } = await c.req.json();
     const stored = await q.findVerificationCode(c.env.DB, email);
 
+    if (stored && stored.attempts >= MAX_CODE_ATTEMPTS) {
+        return codeLocked(c, stored);
+    }
     if (!stored || stored.code !== code || new Date(stored.expires_at) < new Date()) {
+        if (stored) { await q.incrementVerificationCodeAttempts(c.env.DB, stored.email); }
         return c.json({ success: false, error: { message: 'Invalid or expired verification code.' } }, 400);
     }
 
     await q.verifyUserEmail(c.env.DB, stored.email);
     await q.deleteVerificationCode(c.env.DB, email);
 
+    // [BARU] Pendaftaran selesai: terima otomatis undangan buku yang dikirim ke email ini
+    const verifiedUser = await q.findUserByEmail(c.env.DB, stored.email);
+    if (verifiedUser) {
+        await q.acceptPendingInvitationsForUser(c.env.DB, verifiedUser);
+    }
+
     return c.json({ success: true, message: 'Email verified successfully.' });
 });
 
 // [BARU] Endpoint untuk mengirim ulang kode verifikasi
-authRoutes.post('/resend-verification', async (c) => {
+authRoutes.post('/resend-verification', limits.sendCodeIp, limits.sendCodeEmail, async (c) => {
     const { email } = await c.req.json();
     if (!email) {
         return c.json({ success: false, error: { message: 'Email is required.' } }, 400);
@@ -79,47 +195,282 @@ authRoutes.post('/resend-verification', async (c) => {
     return c.json({ success: true, message: 'A new verification code has been sent.' });
 });
 
+// [BARU] Alur lupa kata sandi: kirim kode reset ke email
+authRoutes.post('/forgot-password', limits.sendCodeIp, limits.sendCodeEmail, async (c) => {
+    const { email } = await c.req.json();
+    if (!email) {
+        return c.json({ success: false, error: { message: 'Email is required.' } }, 400);
+    }
+
+    // Keamanan: Respons selalu sama, baik email terdaftar maupun tidak.
+    const genericResponse = { success: true, message: 'If a user with this email exists, a password reset code has been sent.' };
+
+    const user = await q.findUserByEmail(c.env.DB, email);
+    if (!user) {
+        return c.json(genericResponse);
+    }
+
+    const resetCode = Math.floor(100000 + Math.random() * 900000).toString();
+    await q.savePasswordResetCode(c.env.DB, user.email, resetCode);
+    const emailResult = await sendPasswordResetEmail(c, { to: user.email, code: resetCode });
+    if (!emailResult.success) {
+        console.error('Failed to send password reset email.');
+    }
+
+    return c.json(genericResponse);
+});
+
+// [BARU] Atur kata sandi baru menggunakan kode reset
+authRoutes.post('/reset-password', limits.codeIp, async (c) => {
+    const { email, code, password, confirmPassword } = await c.req.json();
+    if (!email || !code || !password) {
+        return c.json({ success: false, error: { message: 'Email, code and password are required.' } }, 400);
+    }
+    if (password !== confirmPassword) {
+        return c.json({ success: false, error: { message: 'Passwords do not match' } }, 400);
+    }
+
+    const stored = await q.findPasswordResetCode(c.env.DB, email);
+    if (stored && stored.attempts >= MAX_CODE_ATTEMPTS) {
+        return codeLocked(c, stored);
+    }
+    if (!stored || stored.code !== code || new Date(stored.expires_at) < new Date()) {
+        if (stored) { await q.incrementPasswordResetCodeAttempts(c.env.DB, stored.email); }
+        return c.json({ success: false, error: { message: 'Invalid or expired reset code.' } }, 400);
+    }
+
+    const user = await q.findUserByEmail(c.env.DB, stored.email);
+    if (!user) {
+        await q.deletePasswordResetCode(c.env.DB, email);
+        return c.json({ success: false, error: { message: 'Invalid or expired reset code.' } }, 400);
+    }
+
+    // Kode hanya bisa dipakai sekali
+    await q.deletePasswordResetCode(c.env.DB, email);
+    await q.updateUserPassword(c.env.DB, user.id, password);
+    // Keluarkan semua perangkat yang masih login dengan kata sandi lama
+    await q.revokeAllUserSessions(c.env.DB, user.id);
+
+    return c.json({ success: true, message: 'Password has been reset successfully. You can now log in.' });
+});
+
 
-authRoutes.post('/login', async (c) => {
+authRoutes.post('/login', limits.loginIp, limits.loginEmail, async (c) => {
     const { email, password } = await c.req.json();
     const user = await q.findUserByEmail(c.env.DB, email);
     if (!user || !user.hashed_password) { return c.json({ success: false, error: { message: 'Invalid credentials' } }, 401); }
     if (user.is_email_verified === 0) { return c.json({ success: false, error: { message: 'Please verify your email before logging in' } }, 403); }
     const isMatch = await bcrypt.compare(password, user.hashed_password);
     if (!isMatch) { return c.json({ success: false, error: { message: 'Invalid credentials' } }, 401); }
-    const sessionToken = await createSessionToken(c, user.id);
-    const { hashed_password, ...userData } = user;
-    return c.json({ success: true, data: { sessionToken, user: userData } });
+    const result = await completeLogin(c, user);
+    return c.json({ success: true, data: result });
+});
+
+// [BARU] Langkah kedua login untuk akun dengan 2FA aktif
+authRoutes.post('/login/2fa', limits.codeIp, limits.twoFactorUser, async (c) => {
+    const { challengeToken, code, recoveryCode } = await c.req.json();
+    const decoded = await verifyTwoFactorChallengeToken(c, challengeToken);
+    if (!decoded) {
+        return c.json({ success: false, error: { message: 'Invalid or expired login challenge. Please log in again.' } }, 401);
+    }
+
+    const user = await q.findUserById(c.env.DB, decoded.sub);
+    if (!user || !user.totp_enabled) {
+        return c.json({ success: false, error: { message: 'Invalid or expired login challenge. Please log in again.' } }, 401);
+    }
+
+    const verified = await verifySecondFactor(c, user, { code, recoveryCode });
+    if (!verified) {
+        return c.json({ success: false, error: { message: 'Invalid authentication code.' } }, 401);
+    }
+
+    const session = await issueSession(c, user.id);
+    return c.json({ success: true, data: { ...session, user: toPublicUser(user) } });
+});
+
+// --- [BARU] PENGATURAN 2FA (TOTP) ---
+authRoutes.post('/2fa/setup', protect, requireSession, async (c) => {
+    const user = await q.findUserById(c.env.DB, c.get('user').id);
+    if (user.totp_enabled) {
+        return c.json({ success: false, error: { message: 'Two-factor authentication is already enabled.' } }, 400);
+    }
+
+    // Rahasia disimpan dulu, baru aktif setelah dikonfirmasi dengan kode yang benar
+    const secret = generateTotpSecret();
+    await q.saveTotpSecret(c.env.DB, user.id, secret);
+
+    return c.json({
+        success: true,
+        data: { secret, otpauthUri: buildOtpAuthUri({ secret, accountName: user.email }) }
+    });
+});
+
+authRoutes.post('/2fa/confirm', protect, requireSession, async (c) => {
+    const { code } = await c.req.json();
+    const user = await q.findUserById(c.env.DB, c.get('user').id);
+    if (user.totp_enabled) {
+        return c.json({ success: false, error: { message: 'Two-factor authentication is already enabled.' } }, 400);
+    }
+    if (!user.totp_secret) {
+        return c.json({ success: false, error: { message: 'Start two-factor setup first.' } }, 400);
+    }
+
+    const step = await verifyTotp(user.totp_secret, code);
+    if (step === null) {
+        return c.json({ success: false, error: { message: 'Invalid authentication code.' } }, 400);
+    }
+
+    const { codes, hashes } = await generateRecoveryCodes();
+    await q.enableTotp(c.env.DB, user.id, step);
+    await q.replaceRecoveryCodes(c.env.DB, user.id, hashes);
+
+    // Kode pemulihan hanya ditampilkan sekali ini
+    return c.json({ success: true, message: 'Two-factor authentication enabled.', data: { recoveryCodes: codes } });
+});
+
+authRoutes.post('/2fa/disable', protect, requireSession, async (c) => {
+    const { password, code, recoveryCode } = await c.req.json();
+    const user = await q.findUserById(c.env.DB, c.get('user').id);
+    if (!user.totp_enabled) {
+        return c.json({ success: false, error: { message: 'Two-factor authentication is not enabled.' } }, 400);
+    }
+
+    // Autentikasi ulang: kata sandi (jika akun punya) DAN faktor kedua
+    if (user.hashed_password && !(password && await bcrypt.compare(password, user.hashed_password))) {
+        return c.json({ success: false, error: { message: 'Invalid credentials' } }, 401);
+    }
+    if (!await verifySecondFactor(c, user, { code, recoveryCode })) {
+        return c.json({ success: false, error: { message: 'Invalid authentication code.' } }, 401);
+    }
+
+    await q.disableTotp(c.env.DB, user.id);
+    return c.json({ success: true, message: 'Two-factor authentication disabled.' });
+});
+
+authRoutes.post('/2fa/recovery-codes', protect, requireSession, async (c) => {
+    const { code } = await c.req.json();
+    const user = await q.findUserById(c.env.DB, c.get('user').id);
+    if (!user.totp_enabled) {
+        return c.json({ success: false, error: { message: 'Two-factor authentication is not enabled.' } }, 400);
+    }
+    if (!await verifySecondFactor(c, user, { code })) {
+        return c.json({ success: false, error: { message: 'Invalid authentication code.' } }, 401);
+    }
+
+    const { codes, hashes } = await generateRecoveryCodes();
+    await q.replaceRecoveryCodes(c.env.DB, user.id, hashes);
+    return c.json({ success: true, data: { recoveryCodes: codes } });
+});
+
+// --- [BARU] SESI: REFRESH, LOGOUT & DAFTAR PERANGKAT ---
+authRoutes.post('/refresh', async (c) => {
+    const { refreshToken } = await c.req.json();
+    if (!refreshToken) {
+        return c.json({ success: false, error: { message: 'Refresh token is required.' } }, 400);
+    }
+
+    const tokenHash = await sha256Hex(refreshToken);
+    const session = await q.findSessionByRefreshHash(c.env.DB, tokenHash);
+
+    if (!session) {
+        // Refresh token lama dipakai ulang: anggap bocor dan cabut sesinya
+        const reusedSession = await q.findSessionByPreviousRefreshHash(c.env.DB, tokenHash);
+        if (reusedSession) {
+            await q.revokeSession(c.env.DB, reusedSession.id);
+        }
+        return c.json({ success: false, error: { message: 'Invalid refresh token' } }, 401);
+    }
+    if (session.revoked_at || new Date(session.expires_at) < new Date()) {
+        return c.json({ success: false, error: { message: 'Session has been revoked or expired' } }, 401);
+    }
+
+    const newRefreshToken = generateRandomToken();
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000).toISOString();
+    const rotated = await q.rotateSessionRefreshToken(c.env.DB, session.id, tokenHash, await sha256Hex(newRefreshToken), expiresAt);
+    if (!rotated) {
+        return c.json({ success: false, error: { message: 'Invalid refresh token' } }, 401);
+    }
+
+    const sessionToken = await createSessionToken(c, session.user_id, session.id);
+    return c.json({ success: true, data: { sessionToken, refreshToken: newRefreshToken, expiresIn: ACCESS_TOKEN_TTL_SECONDS } });
+});
+
+authRoutes.post('/logout', protect, requireSession, async (c) => {
+    const user = c.get('user');
+    await q.revokeSession(c.env.DB, user.sessionId);
+    return c.json({ success: true, message: 'Logged out successfully' });
+});
+
+authRoutes.get('/sessions', protect, requireSession, async (c) => {
+    const user = c.get('user');
+    const sessions = await q.findActiveSessionsByUserId(c.env.DB, user.id);
+    const data = sessions.map(session => ({ ...session, is_current: session.id === user.sessionId }));
+    return c.json({ success: true, data });
+});
+
+authRoutes.delete('/sessions/:sessionId', protect, requireSession, async (c) => {
+    const user = c.get('user');
+    const { sessionId } = c.req.param();
+    const session = await q.findSessionById(c.env.DB, sessionId);
+    if (!session || session.user_id !== user.id) {
+        return c.json({ success: false, error: { message: 'Session not found' } }, 404);
+    }
+    await q.revokeSession(c.env.DB, sessionId);
+    return c.json({ success: true, message: 'Session revoked successfully' });
 });
 
 
 // --- ALUR OTENTIKASI GOOGLE ---
+// [BARU] State OAuth disimpan di D1 dan di cookie browser, jadi callback hanya diterima
+// dari browser yang memulai login (anti-CSRF). PKCE mengikat authorization code ke alur ini.
+const OAUTH_STATE_COOKIE = 'casflo_oauth_state';
+const googleRedirectUri = (c) => `${c.env.API_BASE_URL}/api/v1/auth/google/callback`;
+const appUrl = (c, path) => `${c.env.APP_BASE_URL}${path}`;
+
 authRoutes.get('/google', async (c) => {
-    // ... (kode Anda yang sudah ada)
-// ... (sisa kode /google dan /google/callback Anda)
-// ...
     const googleClientId = c.env.GOOGLE_CLIENT_ID;
     if (!googleClientId) {
         return c.json({ success: false, error: { message: 'Google Client ID not configured.' } }, 500);
     }
-    const redirectUri = 'https://api.casflo.id/api/v1/auth/google/callback';
+
+    const state = generateRandomToken();
+    const codeVerifier = generateRandomToken(48);
+    await q.createOAuthState(c.env.DB, await sha256Hex(state), codeVerifier);
+    setCookie(c, OAUTH_STATE_COOKIE, state, {
+        path: '/api/v1/auth/google',
+        httpOnly: true,
+        secure: true,
+        sameSite: 'Lax',
+        maxAge: 10 * 60
+    });
 
     const authUrl = new URL('https://accounts.google.com/o/oauth2/v2/auth');
     authUrl.searchParams.set('client_id', googleClientId);
-    authUrl.searchParams.set('redirect_uri', redirectUri);
+    authUrl.searchParams.set('redirect_uri', googleRedirectUri(c));
     authUrl.searchParams.set('response_type', 'code');
     authUrl.searchParams.set('scope', 'openid profile email');
     authUrl.searchParams.set('prompt', 'select_account');
+    authUrl.searchParams.set('state', state);
+    authUrl.searchParams.set('code_challenge', await sha256Base64Url(codeVerifier));
+    authUrl.searchParams.set('code_challenge_method', 'S256');
 
     return c.redirect(authUrl.toString());
 });
 
 authRoutes.get('/google/callback', async (c) => {
-    const { code } = c.req.query();
-    const redirectUri = 'https://api.casflo.id/api/v1/auth/google/callback';
+    const { code, state } = c.req.query();
+    const cookieState = getCookie(c, OAUTH_STATE_COOKIE);
+    deleteCookie(c, OAUTH_STATE_COOKIE, { path: '/api/v1/auth/google', secure: true });
 
-    if (!code) {
-        return c.redirect('https://app.casflo.id/login?error=google_auth_failed');
+    if (!code || !state) {
+        return c.redirect(appUrl(c, '/login?error=google_auth_failed'));
+    }
+    if (!cookieState || cookieState !== state) {
+        return c.redirect(appUrl(c, '/login?error=invalid_state'));
+    }
+    const storedState = await q.consumeOAuthState(c.env.DB, await sha256Hex(state));
+    if (!storedState) {
+        return c.redirect(appUrl(c, '/login?error=invalid_state'));
     }
 
     try {
@@ -130,8 +481,9 @@ authRoutes.get('/google/callback', async (c) => {
                 code: code,
                 client_id: c.env.GOOGLE_CLIENT_ID,
                 client_secret: c.env.GOOGLE_CLIENT_SECRET,
-                redirect_uri: redirectUri,
-                grant_type: 'authorization_code'
+                redirect_uri: googleRedirectUri(c),
+                grant_type: 'authorization_code',
+                code_verifier: storedState.code_verifier
             })
         });
 
@@ -143,14 +495,26 @@ authRoutes.get('/google/callback', async (c) => {
         const tokenData = await tokenResponse.json();
         const idToken = tokenData.id_token;
 
-        const userInfoResponse = await fetch(`https://www.googleapis.com/oauth2/v3/tokeninfo?id_token=${idToken}`);
-        if (!userInfoResponse.ok) {
+        const googleUser = await fetchGoogleProfile(c, idToken);
+        if (!googleUser) {
             throw new Error('Failed to verify ID token.');
         }
-        
-        const googleUser = await userInfoResponse.json();
 
         let user = await q.findUserByGoogleId(c.env.DB, googleUser.sub);
+        if (!user) {
+            // [BARU] Tautkan ke akun email/password yang sudah ada jika Google menjamin emailnya
+            const existingUser = await q.findUserByEmail(c.env.DB, googleUser.email);
+            if (existingUser) {
+                if (!googleUser.email_verified || existingUser.google_id) {
+                    return c.redirect(appUrl(c, '/login?error=account_exists'));
+                }
+                if (!existingUser.is_email_verified) {
+                    // Kata sandi lama dihapus, jadi sesi yang dibuat dengannya juga harus dicabut
+                    await q.revokeAllUserSessions(c.env.DB, existingUser.id);
+                }
+                user = await q.linkGoogleAccount(c.env.DB, existingUser, googleUser.sub);
+            }
+        }
         if (!user) {
             const newUserPayload = {
                 google_id: googleUser.sub,
@@ -159,25 +523,267 @@ authRoutes.get('/google/callback', async (c) => {
                 avatar_url: googleUser.picture
             };
             user = await q.createUserWithGoogle(c.env.DB, newUserPayload);
+            // [BARU] Email dari Google sudah terverifikasi: terima undangan yang menunggu
+            await q.acceptPendingInvitationsForUser(c.env.DB, user);
         }
 
-        const sessionToken = await createSessionToken(c, user.id);
-        return c.redirect(`https://app.casflo.id/auth/callback?token=${sessionToken}`);
+        // [BARU] Jangan taruh JWT di URL; frontend menukar kode sekali pakai ini lewat POST
+        const handoffCode = generateRandomToken();
+        await q.createAuthHandoffCode(c.env.DB, await sha256Hex(handoffCode), user.id);
+        return c.redirect(appUrl(c, `/auth/callback?code=${handoffCode}`));
 
     } catch (error) {
         console.error('Google callback error:', error);
-        return c.redirect('https://app.casflo.id/login?error=google_callback_failed');
+        return c.redirect(appUrl(c, '/login?error=google_callback_failed'));
+    }
+});
+
+// [BARU] Tukar kode serah terima dari callback Google dengan sesi (atau challenge 2FA)
+authRoutes.post('/google/exchange', limits.codeIp, async (c) => {
+    const { code } = await c.req.json();
+    if (!code) {
+        return c.json({ success: false, error: { message: 'Code is required.' } }, 400);
+    }
+
+    const handoff = await q.consumeAuthHandoffCode(c.env.DB, await sha256Hex(code));
+    const user = handoff && await q.findUserById(c.env.DB, handoff.user_id);
+    if (!user) {
+        return c.json({ success: false, error: { message: 'Invalid or expired code.' } }, 400);
     }
+
+    const result = await completeLogin(c, user);
+    return c.json({ success: true, data: result });
 });
 
 
 // --- ENDPOINT GET USER ---
 authRoutes.get('/users/me', protect, async (c) => {
   const userContext = c.get('user');
-  const user = await c.env.DB.prepare('SELECT id, full_name, email, avatar_url, is_email_verified FROM users WHERE id = ?').bind(userContext.id).first();
+  const user = await c.env.DB.prepare('SELECT id, full_name, email, avatar_url, is_email_verified, totp_enabled AS two_factor_enabled FROM users WHERE id = ?').bind(userContext.id).first();
   if (!user) { return c.json({ success: false, error: { message: 'User not found'}}, 404); }
   return c.json({ success: true, data: user });
 });
 
+// --- [BARU] KELOLA PROFIL ---
+authRoutes.put('/users/me', protect, requireSession, async (c) => {
+    const body = await c.req.json();
+    const user = await q.findUserById(c.env.DB, c.get('user').id);
+    const fullName = body.full_name !== undefined ? String(body.full_name).trim() : user.full_name;
+    if (!fullName) {
+        return c.json({ success: false, error: { message: 'Full name cannot be empty.' } }, 400);
+    }
+    const updatedUser = await q.updateUserProfile(c.env.DB, user.id, {
+        full_name: fullName,
+        avatar_url: body.avatar_url !== undefined ? body.avatar_url : user.avatar_url
+    });
+    return c.json({ success: true, data: updatedUser });
+});
+
+// Ganti email: kirim kode ke alamat baru, email lama tetap berlaku sampai kode diverifikasi
+authRoutes.post('/users/me/email', protect, requireSession, limits.sendCodeIp, async (c) => {
+    const { email, password } = await c.req.json();
+    const newEmail = typeof email === 'string' ? email.trim() : '';
+    if (!newEmail) {
+        return c.json({ success: false, error: { message: 'Email is required.' } }, 400);
+    }
+    const user = await q.findUserById(c.env.DB, c.get('user').id);
+    if (user.hashed_password && !(password && await bcrypt.compare(password, user.hashed_password))) {
+        return c.json({ success: false, error: { message: 'Invalid credentials' } }, 401);
+    }
+    if (newEmail.toLowerCase() === user.email.toLowerCase()) {
+        return c.json({ success: false, error: { message: 'This is already your email address.' } }, 400);
+    }
+    if (await q.findUserByEmail(c.env.DB, newEmail)) {
+        return c.json({ success: false, error: { message: 'Email already exists' } }, 409);
+    }
+
+    const verificationCode = Math.floor(100000 + Math.random() * 900000).toString();
+    await q.setPendingEmail(c.env.DB, user.id, newEmail);
+    await q.saveVerificationCode(c.env.DB, newEmail, verificationCode);
+    const emailResult = await sendVerificationEmail(c, { to: newEmail, code: verificationCode });
+    if (!emailResult.success) {
+        return c.json({ success: false, error: { message: 'Failed to send email. Please try again later.' } }, 500);
+    }
+
+    return c.json({ success: true, message: 'A verification code has been sent to your new email address.' });
+});
+
+authRoutes.post('/users/me/email/verify', protect, requireSession, limits.codeIp, async (c) => {
+    const { code } = await c.req.json();
+    const user = await q.findUserById(c.env.DB, c.get('user').id);
+    if (!user.pending_email) {
+        return c.json({ success: false, error: { message: 'No email change is pending.' } }, 400);
+    }
+
+    const stored = await q.findVerificationCode(c.env.DB, user.pending_email);
+    if (stored && stored.attempts >= MAX_CODE_ATTEMPTS) {
+        return codeLocked(c, stored);
+    }
+    if (!stored || stored.code !== code || new Date(stored.expires_at) < new Date()) {
+        if (stored) { await q.incrementVerificationCodeAttempts(c.env.DB, stored.email); }
+        return c.json({ success: false, error: { message: 'Invalid or expired verification code.' } }, 400);
+    }
+    // Email bisa saja sudah didaftarkan orang lain sejak kode dikirim
+    if (await q.findUserByEmail(c.env.DB, user.pending_email)) {
+        return c.json({ success: false, error: { message: 'Email already exists' } }, 409);
+    }
+
+    await q.confirmPendingEmail(c.env.DB, user.id, user.pending_email);
+    await q.acceptPendingInvitationsForUser(c.env.DB, { ...user, email: user.pending_email });
+    return c.json({ success: true, message: 'Email updated successfully.', data: { email: user.pending_email } });
+});
+
+authRoutes.put('/users/me/password', protect, requireSession, async (c) => {
+    const { currentPassword, newPassword, confirmPassword } = await c.req.json();
+    if (!newPassword) {
+        return c.json({ success: false, error: { message: 'New password is required.' } }, 400);
+    }
+    if (newPassword !== confirmPassword) {
+        return c.json({ success: false, error: { message: 'Passwords do not match' } }, 400);
+    }
+    const userContext = c.get('user');
+    const user = await q.findUserById(c.env.DB, userContext.id);
+    if (!user.hashed_password) {
+        return c.json({ success: false, error: { message: 'No password is set. Add a password from your login methods instead.' } }, 400);
+    }
+    if (!currentPassword || !await bcrypt.compare(currentPassword, user.hashed_password)) {
+        return c.json({ success: false, error: { message: 'Invalid credentials' } }, 401);
+    }
+
+    await q.updateUserPassword(c.env.DB, user.id, newPassword);
+    // Perangkat lain harus login ulang; sesi saat ini tetap aktif
+    await q.revokeAllUserSessions(c.env.DB, user.id, userContext.sessionId);
+    return c.json({ success: true, message: 'Password changed successfully.' });
+});
+
+/**
+ * Hapus akun. Untuk buku yang hanya dimiliki user ini, klien memilih lewat 'books':
+ *   { "<bookId>": { "action": "transfer", "userId": "<anggota lain>" } } atau { "action": "delete" }
+ * Buku tanpa anggota lain otomatis dihapus; buku bersama tanpa keputusan menghasilkan 409.
+ */
+authRoutes.delete('/users/me', protect, requireSession, async (c) => {
+    const { password, confirm, books: decisions = {} } = await c.req.json();
+    const user = await q.findUserById(c.env.DB, c.get('user').id);
+
+    if (confirm !== 'DELETE') {
+        return c.json({ success: false, error: { message: 'Please confirm account deletion by sending confirm: "DELETE".' } }, 400);
+    }
+    if (user.hashed_password && !(password && await bcrypt.compare(password, user.hashed_password))) {
+        return c.json({ success: false, error: { message: 'Invalid credentials' } }, 401);
+    }
+
+    const transfers = [];
+    const deletions = [];
+    const unresolved = [];
+    for (const book of await q.findBooksSolelyOwnedByUser(c.env.DB, user.id)) {
+        const otherMembers = (await q.findMembersByBookId(c.env.DB, book.id)).filter(m => m.id !== user.id);
+        const decision = decisions[book.id];
+
+        if (decision?.action === 'transfer') {
+            if (!otherMembers.some(m => m.id === decision.userId)) {
+                return c.json({ success: false, error: { message: `New owner for book "${book.name}" must be an existing member.` } }, 400);
+            }
+            transfers.push({ bookId: book.id, userId: decision.userId });
+        } else if (decision?.action === 'delete' || otherMembers.length === 0) {
+            deletions.push(book.id);
+        } else {
+            unresolved.push({ id: book.id, name: book.name, members: otherMembers.map(m => ({ id: m.id, full_name: m.full_name, role: m.role })) });
+        }
+    }
+
+    if (unresolved.length > 0) {
+        return c.json({
+            success: false,
+            error: { message: 'Choose whether to transfer or delete the shared books you own before deleting your account.' },
+            data: { books: unresolved }
+        }, 409);
+    }
+
+    await q.deleteUserAccount(c.env.DB, user, { transfers, deletions });
+    // File lampiran buku yang ikut dihapus dibersihkan dari R2 di latar belakang
+    c.executionCtx.waitUntil(Promise.all(deletions.map(bookId => purgeBookAttachmentObjects(c.env, bookId))));
+    return c.json({ success: true, message: 'Account deleted successfully.' });
+});
+
+// --- [BARU] METODE LOGIN (PASSWORD & GOOGLE) ---
+const loginMethodsOf = (user) => ({
+    password: Boolean(user.hashed_password),
+    google: Boolean(user.google_id)
+});
+
+authRoutes.get('/users/me/login-methods', protect, requireSession, async (c) => {
+    const user = await q.findUserById(c.env.DB, c.get('user').id);
+    return c.json({ success: true, data: loginMethodsOf(user) });
+});
+
+// Tautkan Google dari dalam aplikasi menggunakan ID token dari Google Identity Services
+authRoutes.post('/users/me/login-methods/google', protect, requireSession, async (c) => {
+    const { idToken } = await c.req.json();
+    if (!idToken) {
+        return c.json({ success: false, error: { message: 'Google ID token is required.' } }, 400);
+    }
+    const user = await q.findUserById(c.env.DB, c.get('user').id);
+    if (user.google_id) {
+        return c.json({ success: false, error: { message: 'A Google account is already linked.' } }, 409);
+    }
+
+    const googleUser = await fetchGoogleProfile(c, idToken);
+    if (!googleUser || !googleUser.email_verified) {
+        return c.json({ success: false, error: { message: 'Invalid Google ID token.' } }, 400);
+    }
+    const owner = await q.findUserByGoogleId(c.env.DB, googleUser.sub);
+    if (owner) {
+        return c.json({ success: false, error: { message: 'This Google account is already linked to another user.' } }, 409);
+    }
+
+    const updatedUser = await q.linkGoogleAccount(c.env.DB, user, googleUser.sub);
+    return c.json({ success: true, message: 'Google account linked.', data: loginMethodsOf(updatedUser) });
+});
+
+authRoutes.delete('/users/me/login-methods/google', protect, requireSession, async (c) => {
+    const user = await q.findUserById(c.env.DB, c.get('user').id);
+    if (!user.google_id) {
+        return c.json({ success: false, error: { message: 'No Google account is linked.' } }, 400);
+    }
+    if (!user.hashed_password) {
+        return c.json({ success: false, error: { message: 'Cannot remove your last login method. Set a password first.' } }, 400);
+    }
+    await q.unlinkGoogleAccount(c.env.DB, user.id);
+    return c.json({ success: true, message: 'Google account unlinked.', data: loginMethodsOf({ ...user, google_id: null }) });
+});
+
+// Tambahkan kata sandi untuk akun yang sebelumnya hanya login dengan Google
+authRoutes.post('/users/me/login-methods/password', protect, requireSession, async (c) => {
+    const { password, confirmPassword } = await c.req.json();
+    if (!password) {
+        return c.json({ success: false, error: { message: 'Password is required.' } }, 400);
+    }
+    if (password !== confirmPassword) {
+        return c.json({ success: false, error: { message: 'Passwords do not match' } }, 400);
+    }
+    const user = await q.findUserById(c.env.DB, c.get('user').id);
+    if (user.hashed_password) {
+        return c.json({ success: false, error: { message: 'A password is already set.' } }, 409);
+    }
+    await q.updateUserPassword(c.env.DB, user.id, password);
+    return c.json({ success: true, message: 'Password added.', data: loginMethodsOf({ ...user, hashed_password: true }) });
+});
+
+authRoutes.delete('/users/me/login-methods/password', protect, requireSession, async (c) => {
+    const { password } = await c.req.json();
+    const user = await q.findUserById(c.env.DB, c.get('user').id);
+    if (!user.hashed_password) {
+        return c.json({ success: false, error: { message: 'No password is set.' } }, 400);
+    }
+    if (!user.google_id) {
+        return c.json({ success: false, error: { message: 'Cannot remove your last login method. Link a Google account first.' } }, 400);
+    }
+    if (!password || !await bcrypt.compare(password, user.hashed_password)) {
+        return c.json({ success: false, error: { message: 'Invalid credentials' } }, 401);
+    }
+    await q.removeUserPassword(c.env.DB, user.id);
+    return c.json({ success: true, message: 'Password removed.', data: loginMethodsOf({ ...user, hashed_password: null }) });
+});
+
 export default authRoutes;
 
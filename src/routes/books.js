@@ -4,6 +4,23 @@ import { Hono } from 'hono';
 import { protect } from '../middleware/auth.js';
 import * as q from '../db/queries.js'; // Mengimpor semua query dengan alias 'q'
 import { sendBookInvitationEmail } from '../lib/email.js';
+import { generateRandomToken, sha256Hex } from '../lib/crypto.js';
+import { assignableRoles, normalizeRole, hasPermission } from '../lib/permissions.js';
+import { requirePermission } from '../middleware/permissions.js';
+import { loadBookResource } from '../middleware/bookResource.js';
+import { audit } from '../middleware/audit.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { requireIfMatch, versionConflict } from '../middleware/concurrency.js';
+import { budgetAlerts } from '../middleware/budgetAlerts.js';
+import { toEtag } from '../lib/etag.js';
+import { TRANSACTION_TYPES, buildTransactionSplits } from '../lib/ledger.js';
+import { RECURRENCE_FREQUENCIES, isValidDate, nextDueDate, firstDueDateOnOrAfter, toDateString } from '../lib/recurrence.js';
+import { BUDGET_PERIODS, normalizeBudgetPeriod, budgetAlertThresholds, validateAlertThresholds } from '../lib/budgets.js';
+import { GOAL_FUNDING_SOURCES, withGoalProgress } from '../lib/goals.js';
+import {
+    MAX_ATTACHMENT_BYTES, attachmentKey, validateAttachmentFile, putAttachmentObject,
+    deleteAttachmentObjects, toPublicAttachment
+} from '../lib/attachments.js';
 
 const bookRoutes = new Hono();
 bookRoutes.use('*', protect); // Lindungi semua rute
@@ -12,11 +29,20 @@ bookRoutes.use('*', protect); // Lindungi semua rute
 const checkBookMembership = async (c, next) => {
     const user = c.get('user');
     const { bookId } = c.req.param();
+    // [BARU] Personal access token bisa dibatasi ke buku tertentu
+    if (user.apiTokenBookIds && !user.apiTokenBookIds.includes(bookId)) {
+        return c.json({ success: false, error: { message: 'Forbidden: This API token has no access to this book.' } }, 403);
+    }
     const member = await q.findMember(c.env.DB, bookId, user.id);
     if (!member) {
         return c.json({ success: false, error: { message: 'Forbidden: You are not a member of this book.' } }, 403);
     }
-    c.set('member', member); // Simpan info keanggotaan (termasuk role)
+    // [BARU] Buku di tempat sampah hanya bisa dipulihkan (POST /books/:bookId/restore)
+    const book = await q.findBookById(c.env.DB, bookId);
+    if (!book || book.deleted_at) {
+        return c.json({ success: false, error: { message: 'Book not found' } }, 404);
+    }
+    c.set('member', { ...member, role: normalizeRole(member.role) }); // Simpan info keanggotaan (termasuk role)
     await next();
 };
 
@@ -24,10 +50,14 @@ const checkBookMembership = async (c, next) => {
 bookRoutes.get('/', async (c) => {
     const user = c.get('user');
     const books = await q.findBooksByUserId(c.env.DB, user.id);
-    return c.json({ success: true, data: books });
+    const visibleBooks = user.apiTokenBookIds ? books.filter(book => user.apiTokenBookIds.includes(book.id)) : books;
+    return c.json({ success: true, data: visibleBooks });
 });
-bookRoutes.post('/', async (c) => {
+bookRoutes.post('/', idempotent, audit('create', 'book'), async (c) => {
     const user = c.get('user');
+    if (user.apiTokenBookIds) {
+        return c.json({ success: false, error: { message: 'Forbidden: This API token is limited to specific books.' } }, 403);
+    }
     
     // [PERBAIKAN] Panggil c.req.json() HANYA SEKALI
     const body = await c.req.json(); 
@@ -50,30 +80,50 @@ bookRoutes.post('/', async (c) => {
 const bookSpecificRoutes = new Hono();
 bookSpecificRoutes.use('*', checkBookMembership);
 
+// [BARU] ID akun/kategori/kontak di body harus milik buku ini; selain itu 404
+const referencesNotFound = async (c, refs) => {
+    const result = await q.validateBookReferences(c.env.DB, c.req.param('bookId'), refs);
+    return result.error ? c.json({ success: false, error: { message: result.error } }, 404) : null;
+};
+const transactionReferences = (body) => ({
+    account: [body.from_account_id, body.to_account_id],
+    category: [body.category_id, ...(Array.isArray(body.splits) ? body.splits.map(line => line && line.category_id) : [])],
+    contact: [body.contact_id],
+    goal: [body.goal_id], // [BARU] setoran ke tujuan tabungan
+    tag: Array.isArray(body.tag_ids) ? body.tag_ids : []
+});
+// [BARU] Hapus objek R2 yang sudah tidak dipakai baris lampiran mana pun (tanpa menahan respons)
+const releaseAttachmentObjects = async (c, keys) => {
+    const unusedKeys = await q.findUnreferencedAttachmentKeys(c.env.DB, keys);
+    c.executionCtx.waitUntil(deleteAttachmentObjects(c.env, unusedKeys));
+};
+
 // --- [DIPERTAHANKAN] Detail, Update, Delete Book ---
-bookSpecificRoutes.get('/', async (c) => {
+bookSpecificRoutes.get('/', requirePermission('book:read'), async (c) => {
     const { bookId } = c.req.param();
     const book = await q.findBookById(c.env.DB, bookId);
+    c.header('ETag', toEtag(book.version));
     return c.json({ success: true, data: book });
 });
-bookSpecificRoutes.put('/', async (c) => {
+bookSpecificRoutes.put('/', requirePermission('book:update'), requireIfMatch('book'), audit('update', 'book', { param: 'bookId' }), async (c) => {
     const user = c.get('user');
     const { bookId } = c.req.param();
     const body = await c.req.json();
     body.updated_by = user.id;
-    const updatedBook = await q.updateBook(c.env.DB, bookId, body);
+    const updatedBook = await q.updateBook(c.env.DB, bookId, body, c.get('ifMatchVersion'));
+    if (updatedBook.conflict) return versionConflict(c, 'book');
     return c.json({ success: true, data: updatedBook });
 });
-bookSpecificRoutes.delete('/', async (c) => {
-    const member = c.get('member');
-    if (member.role !== 'OWNER') { return c.json({ success: false, error: { message: 'Forbidden: Only the owner can delete a book.' } }, 403); }
+bookSpecificRoutes.delete('/', requirePermission('book:delete'), requireIfMatch('book'), audit('delete', 'book', { param: 'bookId' }), async (c) => {
     const { bookId } = c.req.param();
-    await q.deleteBook(c.env.DB, bookId);
-    return c.json({ success: true, message: 'Book deleted successfully' });
+    // [DIUBAH] Buku masuk tempat sampah dan bisa dipulihkan Owner selama masa simpan
+    const result = await q.deleteBook(c.env.DB, bookId, c.get('user').id, c.get('ifMatchVersion'));
+    if (result.conflict) return versionConflict(c, 'book');
+    return c.json({ success: true, message: 'Book moved to trash' });
 });
 
 // --- [DIUBAH TOTAL] Rute Laporan Summary ---
-bookSpecificRoutes.get('/summary', async (c) => {
+bookSpecificRoutes.get('/summary', requirePermission('book:read'), async (c) => {
     const { bookId } = c.req.param();
     
     // [PERBAIKAN] Ambil tanggal dari query parameters
@@ -93,43 +143,51 @@ bookSpecificRoutes.get('/summary', async (c) => {
 });
 
 // --- [BARU] CRUD Akun (Aset & Liabilitas) ---
-bookSpecificRoutes.get('/accounts', async (c) => {
+bookSpecificRoutes.get('/accounts', requirePermission('book:read'), async (c) => {
     const { bookId } = c.req.param();
     const accounts = await q.findAccountsByBookId(c.env.DB, bookId);
     // [PERBAIKAN] Hapus konversi sen
     return c.json({ success: true, data: accounts });
 });
-bookSpecificRoutes.post('/accounts', async (c) => {
+bookSpecificRoutes.post('/accounts', requirePermission('entries:write'), idempotent, audit('create', 'account'), async (c) => {
     const { bookId } = c.req.param();
     const body = await c.req.json();
     const newAccount = await q.createAccount(c.env.DB, { book_id: bookId, ...body });
     return c.json({ success: true, data: newAccount }, 201);
 });
-bookSpecificRoutes.put('/accounts/:accountId', async (c) => {
+// [BARU] Detail satu sumber daya, dengan ETag untuk If-Match saat PUT/DELETE
+bookSpecificRoutes.get('/accounts/:accountId', requirePermission('book:read'), loadBookResource('account', 'accountId'), async (c) => {
+    const account = c.get('account');
+    c.header('ETag', toEtag(account.version));
+    return c.json({ success: true, data: account });
+});
+bookSpecificRoutes.put('/accounts/:accountId', requirePermission('entries:write'), loadBookResource('account', 'accountId'), requireIfMatch('account', 'accountId'), audit('update', 'account', { param: 'accountId' }), async (c) => {
     const { accountId } = c.req.param();
     const body = await c.req.json();
-    const updatedAccount = await q.updateAccount(c.env.DB, accountId, body);
+    const updatedAccount = await q.updateAccount(c.env.DB, accountId, body, c.get('ifMatchVersion'));
+    if (updatedAccount.conflict) return versionConflict(c, 'account', 'accountId');
     return c.json({ success: true, data: updatedAccount });
 });
-bookSpecificRoutes.delete('/accounts/:accountId', async (c) => {
+bookSpecificRoutes.delete('/accounts/:accountId', requirePermission('entries:write'), loadBookResource('account', 'accountId'), requireIfMatch('account', 'accountId'), audit('delete', 'account', { param: 'accountId' }), async (c) => {
     const { accountId } = c.req.param();
-    const result = await q.deleteAccount(c.env.DB, accountId);
+    const result = await q.deleteAccount(c.env.DB, accountId, c.get('ifMatchVersion'));
     if (result.error) {
         return c.json({ success: false, error: { message: result.error }}, 400);
     }
+    if (result.conflict) return versionConflict(c, 'account', 'accountId');
     return c.json({ success: true, message: 'Account deleted successfully' });
 });
 
 // --- [BARU] Grup Rute untuk Laporan / Reports ---
 const reportRoutes = new Hono();
-reportRoutes.get('/expense-by-category', async (c) => {
+reportRoutes.get('/expense-by-category', requirePermission('book:read'), async (c) => {
     const { bookId } = c.req.param();
     const { startDate, endDate } = c.req.query();
     const reportData = await q.getExpenseReportByCategory(c.env.DB, bookId, { startDate, endDate });
     // [PERBAIKAN] Hapus konversi sen
     return c.json({ success: true, data: reportData });
 });
-reportRoutes.get('/recommendations/category', async (c) => {
+reportRoutes.get('/recommendations/category', requirePermission('book:read'), async (c) => {
     const { bookId } = c.req.param();
     const { description } = c.req.query();
     
@@ -137,136 +195,442 @@ reportRoutes.get('/recommendations/category', async (c) => {
     
     return c.json({ success: true, data: recommendations });
 });
+// [BARU] Pengeluaran per tag
+reportRoutes.get('/expense-by-tag', requirePermission('book:read'), async (c) => {
+    const { bookId } = c.req.param();
+    const { startDate, endDate } = c.req.query();
+    const reportData = await q.getExpenseReportByTag(c.env.DB, bookId, { startDate, endDate });
+    return c.json({ success: true, data: reportData });
+});
 bookSpecificRoutes.route('/reports', reportRoutes);
 
 // --- [BARU] CRUD Anggaran (Budgeting) ---
-bookSpecificRoutes.get('/budgets', async (c) => {
+// Progres dihitung per periode (src/lib/budgets.js). Nominal disimpan dalam sen, API memakai rupiah.
+// Peringatan ambang (alert_thresholds, alert_email) dikirim setelah transaksi disimpan (src/middleware/budgetAlerts.js).
+const DEFAULT_BUDGET_HISTORY = 12;
+const MAX_BUDGET_HISTORY = 120;
+const toRupiahPeriod = (period) => ({
+    ...period,
+    budgeted: period.budgeted / 100,
+    carried_over: period.carried_over / 100,
+    available: period.available / 100,
+    spent: period.spent / 100,
+    remaining: period.remaining / 100
+});
+const toRupiahBudget = (budget) => ({
+    ...budget,
+    amount: budget.amount / 100,
+    carry_over: Boolean(budget.carry_over),
+    alert_thresholds: budgetAlertThresholds(budget),
+    alert_email: Boolean(budget.alert_email)
+});
+// Mengembalikan pesan error, atau null jika data anggaran valid
+const budgetError = (data) => {
+    if (!data.name) return 'Name is required';
+    if (!(Number(data.amount) > 0)) return 'Amount must be greater than 0';
+    if (!BUDGET_PERIODS.includes(data.period)) return `Invalid period. Use one of: ${BUDGET_PERIODS.join(', ')}.`;
+    if (data.start_date && !isValidDate(data.start_date)) return 'start_date must be a date (YYYY-MM-DD)';
+    if (data.categoryIds !== undefined && !Array.isArray(data.categoryIds)) return 'categoryIds must be an array';
+    if (data.alert_thresholds != null) return validateAlertThresholds(data.alert_thresholds);
+    return null;
+};
+const normalizePeriod = (body) => (typeof body.period === 'string' ? { ...body, period: body.period.toUpperCase() } : body);
+// Tanggal acuan progres: ?date=YYYY-MM-DD (untuk melihat periode lain), default hari ini
+const budgetAsOf = (c) => {
+    const { date } = c.req.query();
+    return isValidDate(date) ? date : toDateString(new Date());
+};
+const budgetPeriodsFor = async (c, budget) => {
+    const settings = await q.findSettingsByBookId(c.env.DB, c.req.param('bookId'));
+    return await q.findBudgetPeriods(c.env.DB, budget, { startOfMonth: settings.start_of_month, asOf: budgetAsOf(c) });
+};
+
+bookSpecificRoutes.get('/budgets', requirePermission('book:read'), async (c) => {
     const { bookId } = c.req.param();
     const budgets = await q.findBudgetsByBookId(c.env.DB, bookId);
-    return c.json({ success: true, data: budgetsInRupiah });
+    const settings = await q.findSettingsByBookId(c.env.DB, bookId);
+    const asOf = budgetAsOf(c);
+    // [PERBAIKAN] Sebelumnya mengembalikan variabel yang tidak terdefinisi; kini disertai progres periode berjalan
+    const data = [];
+    for (const budget of budgets) {
+        const periods = await q.findBudgetPeriods(c.env.DB, budget, { startOfMonth: settings.start_of_month, asOf });
+        data.push({ ...toRupiahBudget(budget), current_period: toRupiahPeriod(periods[periods.length - 1]) });
+    }
+    return c.json({ success: true, data });
 });
-bookSpecificRoutes.post('/budgets', async (c) => {
+bookSpecificRoutes.post('/budgets', requirePermission('entries:write'), idempotent, audit('create', 'budget'), async (c) => {
     const { bookId } = c.req.param();
-    const body = await c.req.json();
+    const body = normalizePeriod(await c.req.json());
+    const invalid = budgetError(body);
+    if (invalid) {
+        return c.json({ success: false, error: { message: invalid } }, 400);
+    }
+    const notFound = await referencesNotFound(c, { category: body.categoryIds });
+    if (notFound) return notFound;
     const newBudget = await q.createBudget(c.env.DB, { book_id: bookId, ...body });
     return c.json({ success: true, data: newBudget }, 201);
 });
-bookSpecificRoutes.delete('/budgets/:budgetId', async (c) => {
+bookSpecificRoutes.get('/budgets/:budgetId', requirePermission('book:read'), loadBookResource('budget', 'budgetId'), async (c) => {
+    const { bookId, budgetId } = c.req.param();
+    const budget = await q.findBudgetById(c.env.DB, bookId, budgetId);
+    const periods = await budgetPeriodsFor(c, budget);
+    c.header('ETag', toEtag(budget.version));
+    return c.json({ success: true, data: { ...toRupiahBudget(budget), current_period: toRupiahPeriod(periods[periods.length - 1]) } });
+});
+// [BARU] Periode-periode yang sudah lewat, terbaru lebih dulu (?limit, default 12)
+bookSpecificRoutes.get('/budgets/:budgetId/history', requirePermission('book:read'), loadBookResource('budget', 'budgetId'), async (c) => {
+    const limit = Math.min(Math.max(parseInt(c.req.query('limit'), 10) || DEFAULT_BUDGET_HISTORY, 1), MAX_BUDGET_HISTORY);
+    const periods = await budgetPeriodsFor(c, c.get('budget'));
+    const history = periods.slice(0, -1).reverse().slice(0, limit);
+    return c.json({ success: true, data: history.map(toRupiahPeriod) });
+});
+// [BARU] Ubah anggaran. Field yang tidak dikirim tetap; categoryIds menggantikan seluruh kategori.
+bookSpecificRoutes.put('/budgets/:budgetId', requirePermission('entries:write'), loadBookResource('budget', 'budgetId'), requireIfMatch('budget', 'budgetId'), audit('update', 'budget', { param: 'budgetId' }), async (c) => {
     const { budgetId } = c.req.param();
-    await q.deleteBudget(c.env.DB, budgetId);
+    const body = normalizePeriod(await c.req.json());
+    const { id, book_id, version, ...current } = toRupiahBudget(c.get('budget'));
+    const merged = { ...current, period: normalizeBudgetPeriod(current.period), ...body };
+    const invalid = budgetError(merged);
+    if (invalid) {
+        return c.json({ success: false, error: { message: invalid } }, 400);
+    }
+    const notFound = await referencesNotFound(c, { category: body.categoryIds });
+    if (notFound) return notFound;
+    const result = await q.updateBudget(c.env.DB, budgetId, merged, c.get('ifMatchVersion'));
+    if (result.conflict) return versionConflict(c, 'budget', 'budgetId');
+    const updatedBudget = await q.findBudgetById(c.env.DB, c.req.param('bookId'), budgetId);
+    return c.json({ success: true, data: toRupiahBudget(updatedBudget) });
+});
+bookSpecificRoutes.delete('/budgets/:budgetId', requirePermission('entries:write'), loadBookResource('budget', 'budgetId'), requireIfMatch('budget', 'budgetId'), audit('delete', 'budget', { param: 'budgetId' }), async (c) => {
+    const { budgetId } = c.req.param();
+    const result = await q.deleteBudget(c.env.DB, budgetId, c.get('ifMatchVersion'));
+    if (result.conflict) return versionConflict(c, 'budget', 'budgetId');
     return c.json({ success: true, message: 'Budget deleted successfully' });
 });
 
 // --- [BARU] CRUD Transaksi Berulang ---
-bookSpecificRoutes.get('/recurring-transactions', async (c) => {
+// Jadwal yang jatuh tempo diposting otomatis oleh job terjadwal (src/jobs/postRecurringTransactions.js).
+// Nominal disimpan dalam sen, API memakai rupiah.
+const toRupiahRecurring = (rt) => ({ ...rt, amount: rt.amount / 100, is_paused: Boolean(rt.paused_at) });
+// Mengembalikan pesan error, atau null jika data jadwal valid
+const recurringTransactionError = (data) => {
+    if (!data.description) return 'Description is required';
+    if (!RECURRENCE_FREQUENCIES.includes(data.frequency)) {
+        return `Invalid frequency. Use one of: ${RECURRENCE_FREQUENCIES.join(', ')}.`;
+    }
+    if (!isValidDate(data.start_date)) return 'start_date must be a date (YYYY-MM-DD)';
+    if (data.next_due_date && !isValidDate(data.next_due_date)) return 'next_due_date must be a date (YYYY-MM-DD)';
+    // Aturan akun/kategori sama dengan transaksi biasa (satu kategori, tanpa split)
+    const { type, amount, category_id, from_account_id, to_account_id } = data;
+    return buildTransactionSplits({ type, amount, category_id, from_account_id, to_account_id }).error || null;
+};
+const normalizeFrequency = (body) => (typeof body.frequency === 'string' ? { ...body, frequency: body.frequency.toUpperCase() } : body);
+
+bookSpecificRoutes.get('/recurring-transactions', requirePermission('book:read'), async (c) => {
     const { bookId } = c.req.param();
     const rts = await q.findRecurringTransactionsByBookId(c.env.DB, bookId);
-    return c.json({ success: true, data: rtsInRupiah });
+    // [PERBAIKAN] Sebelumnya mengembalikan variabel yang tidak terdefinisi
+    return c.json({ success: true, data: rts.map(toRupiahRecurring) });
 });
-bookSpecificRoutes.post('/recurring-transactions', async (c) => {
+bookSpecificRoutes.post('/recurring-transactions', requirePermission('entries:write'), idempotent, audit('create', 'recurringTransaction'), async (c) => {
     const { bookId } = c.req.param();
-    const body = await c.req.json();
-    const newRt = await q.createRecurringTransaction(c.env.DB, { book_id: bookId, ...body });
+    const body = normalizeFrequency(await c.req.json());
+    const invalid = recurringTransactionError(body);
+    if (invalid) {
+        return c.json({ success: false, error: { message: invalid } }, 400);
+    }
+    const notFound = await referencesNotFound(c, transactionReferences(body));
+    if (notFound) return notFound;
+    const newRt = await q.createRecurringTransaction(c.env.DB, { book_id: bookId, ...body }, c.get('user').id);
     return c.json({ success: true, data: newRt }, 201);
 });
-bookSpecificRoutes.delete('/recurring-transactions/:rtId', async (c) => {
+bookSpecificRoutes.put('/recurring-transactions/:rtId', requirePermission('entries:write'), loadBookResource('recurringTransaction', 'rtId'), audit('update', 'recurringTransaction', { param: 'rtId' }), async (c) => {
+    const { rtId } = c.req.param();
+    const body = normalizeFrequency(await c.req.json());
+    const merged = { ...toRupiahRecurring(c.get('recurringTransaction')), ...body };
+    const invalid = recurringTransactionError(merged);
+    if (invalid) {
+        return c.json({ success: false, error: { message: invalid } }, 400);
+    }
+    const notFound = await referencesNotFound(c, transactionReferences(merged));
+    if (notFound) return notFound;
+    // [PERBAIKAN] Jadwal berubah: hitung ulang jadwal berikutnya dari start_date baru (seperti /resume),
+    // kecuali klien mengirim next_due_date sendiri
+    const rt = c.get('recurringTransaction');
+    const scheduleChanged = merged.frequency !== rt.frequency || merged.start_date !== rt.start_date;
+    if (scheduleChanged && body.next_due_date === undefined) {
+        body.next_due_date = firstDueDateOnOrAfter(merged.frequency, merged.start_date, merged.start_date, toDateString(new Date()));
+    }
+    const updatedRt = await q.updateRecurringTransaction(c.env.DB, rtId, body);
+    return c.json({ success: true, data: toRupiahRecurring(updatedRt) });
+});
+bookSpecificRoutes.post('/recurring-transactions/:rtId/pause', requirePermission('entries:write'), loadBookResource('recurringTransaction', 'rtId'), audit('pause', 'recurringTransaction', { param: 'rtId' }), async (c) => {
+    const rt = c.get('recurringTransaction');
+    if (!rt.paused_at) {
+        await q.pauseRecurringTransaction(c.env.DB, rt.id);
+    }
+    return c.json({ success: true, message: 'Recurring transaction paused' });
+});
+bookSpecificRoutes.post('/recurring-transactions/:rtId/resume', requirePermission('entries:write'), loadBookResource('recurringTransaction', 'rtId'), audit('resume', 'recurringTransaction', { param: 'rtId' }), async (c) => {
+    const rt = c.get('recurringTransaction');
+    if (!rt.paused_at) {
+        return c.json({ success: true, message: 'Recurring transaction is not paused', data: { next_due_date: rt.next_due_date } });
+    }
+    // Jadwal yang terlewat selama dijeda tidak diposting susulan
+    const next_due_date = RECURRENCE_FREQUENCIES.includes(rt.frequency)
+        ? firstDueDateOnOrAfter(rt.frequency, rt.start_date || rt.next_due_date, rt.next_due_date, toDateString(new Date()))
+        : rt.next_due_date;
+    await q.resumeRecurringTransaction(c.env.DB, rt.id, next_due_date);
+    return c.json({ success: true, message: 'Recurring transaction resumed', data: { next_due_date } });
+});
+bookSpecificRoutes.delete('/recurring-transactions/:rtId', requirePermission('entries:write'), loadBookResource('recurringTransaction', 'rtId'), audit('delete', 'recurringTransaction', { param: 'rtId' }), async (c) => {
     const { rtId } = c.req.param();
     await q.deleteRecurringTransaction(c.env.DB, rtId);
     return c.json({ success: true, message: 'Recurring transaction deleted successfully' });
 });
 
 // --- [BARU] Rute Pengaturan Book ---
-bookSpecificRoutes.get('/settings', async (c) => {
+bookSpecificRoutes.get('/settings', requirePermission('book:read'), async (c) => {
     const { bookId } = c.req.param();
     const settings = await q.findSettingsByBookId(c.env.DB, bookId);
+    c.header('ETag', toEtag(settings.version));
     return c.json({ success: true, data: settings });
 });
-bookSpecificRoutes.put('/settings', async (c) => {
+bookSpecificRoutes.put('/settings', requirePermission('settings:update'), requireIfMatch('settings'), audit('update', 'settings', { param: 'bookId' }), async (c) => {
     const { bookId } = c.req.param();
     const body = await c.req.json();
-    const updatedSettings = await q.updateSettings(c.env.DB, bookId, body);
+    const updatedSettings = await q.updateSettings(c.env.DB, bookId, body, c.get('ifMatchVersion'));
+    if (updatedSettings.conflict) return versionConflict(c, 'settings');
     return c.json({ success: true, data: updatedSettings });
 });
 
 // --- [BARU] CRUD Pengingat (Alarm) ---
-bookSpecificRoutes.get('/reminders', async (c) => {
+// Pengingat yang jatuh tempo dikirim oleh job terjadwal (src/jobs/sendReminders.js) sebagai email + notifikasi.
+// Nominal disimpan dalam sen, API memakai rupiah.
+const MAX_SNOOZE_DAYS = 30;
+const toRupiahReminder = (reminder) => ({ ...reminder, amount: reminder.amount != null ? reminder.amount / 100 : null });
+// Mengembalikan pesan error, atau null jika data pengingat valid
+const reminderError = (data) => {
+    if (!data.description) return 'Description is required';
+    if (!isValidDate(data.reminder_date)) return 'reminder_date must be a date (YYYY-MM-DD)';
+    if (data.frequency && !RECURRENCE_FREQUENCIES.includes(data.frequency)) {
+        return `Invalid frequency. Use one of: ${RECURRENCE_FREQUENCIES.join(', ')}, or leave it empty for a one-time reminder.`;
+    }
+    return null;
+};
+
+bookSpecificRoutes.get('/reminders', requirePermission('book:read'), async (c) => {
     const { bookId } = c.req.param();
     const reminders = await q.findRemindersByBookId(c.env.DB, bookId);
-    return c.json({ success: true, data: remindersInRupiah });
+    // [PERBAIKAN] Sebelumnya mengembalikan variabel yang tidak terdefinisi
+    return c.json({ success: true, data: reminders.map(toRupiahReminder) });
 });
-bookSpecificRoutes.post('/reminders', async (c) => {
+bookSpecificRoutes.post('/reminders', requirePermission('entries:write'), idempotent, audit('create', 'reminder'), async (c) => {
     const { bookId } = c.req.param();
-    const body = await c.req.json();
-    const newReminder = await q.createReminder(c.env.DB, { book_id: bookId, ...body });
+    const body = normalizeFrequency(await c.req.json());
+    const invalid = reminderError(body);
+    if (invalid) {
+        return c.json({ success: false, error: { message: invalid } }, 400);
+    }
+    const newReminder = await q.createReminder(c.env.DB, { book_id: bookId, ...body }, c.get('user').id);
     return c.json({ success: true, data: newReminder }, 201);
 });
-bookSpecificRoutes.put('/reminders/:reminderId', async (c) => {
+bookSpecificRoutes.put('/reminders/:reminderId', requirePermission('entries:write'), loadBookResource('reminder', 'reminderId'), audit('update', 'reminder', { param: 'reminderId' }), async (c) => {
     const { reminderId } = c.req.param();
-    const body = await c.req.json();
-    const updatedReminder = await q.updateReminder(c.env.DB, reminderId, body);
+    const body = normalizeFrequency(await c.req.json());
+    // [PERBAIKAN] Field yang tidak dikirim tetap (termasuk amount dan is_active pengingat yang sudah selesai)
+    const { description, amount, reminder_date, frequency, is_active } = toRupiahReminder(c.get('reminder'));
+    const merged = { description, amount, reminder_date, frequency, is_active, ...body };
+    const invalid = reminderError(merged);
+    if (invalid) {
+        return c.json({ success: false, error: { message: invalid } }, 400);
+    }
+    const updatedReminder = await q.updateReminder(c.env.DB, reminderId, merged);
     return c.json({ success: true, data: updatedReminder });
 });
-bookSpecificRoutes.delete('/reminders/:reminderId', async (c) => {
+// [BARU] Tandai selesai. Pengingat berulang lanjut ke jadwal berikutnya.
+bookSpecificRoutes.post('/reminders/:reminderId/done', requirePermission('entries:write'), loadBookResource('reminder', 'reminderId'), audit('complete', 'reminder', { param: 'reminderId' }), async (c) => {
+    const reminder = c.get('reminder');
+    let nextDate = null;
+    if (RECURRENCE_FREQUENCIES.includes(reminder.frequency)) {
+        // Setelah dikirim, job sudah memajukan reminder_date; yang selesai adalah jadwal yang sudah dikirim itu
+        const alreadyAdvanced = reminder.last_notified_for && reminder.last_notified_for < reminder.reminder_date;
+        nextDate = alreadyAdvanced
+            ? reminder.reminder_date
+            : nextDueDate(reminder.frequency, reminder.start_date || reminder.reminder_date, reminder.reminder_date);
+    }
+    await q.completeReminder(c.env.DB, reminder.id, nextDate);
+    return c.json({ success: true, message: 'Reminder marked as done', data: { next_reminder_date: nextDate } });
+});
+// [BARU] Tunda: body { until: 'YYYY-MM-DD' } atau { days } (default 1 hari)
+bookSpecificRoutes.post('/reminders/:reminderId/snooze', requirePermission('entries:write'), loadBookResource('reminder', 'reminderId'), audit('snooze', 'reminder', { param: 'reminderId' }), async (c) => {
+    const reminder = c.get('reminder');
+    const { until, days = 1 } = await c.req.json().catch(() => ({}));
+    const today = toDateString(new Date());
+    let snoozedUntil = until;
+    if (!until) {
+        if (!Number.isInteger(days) || days < 1 || days > MAX_SNOOZE_DAYS) {
+            return c.json({ success: false, error: { message: `days must be a whole number between 1 and ${MAX_SNOOZE_DAYS}` } }, 400);
+        }
+        snoozedUntil = toDateString(new Date(Date.now() + days * 24 * 60 * 60 * 1000));
+    } else if (!isValidDate(until) || until <= today) {
+        return c.json({ success: false, error: { message: 'until must be a future date (YYYY-MM-DD)' } }, 400);
+    }
+    if (!reminder.is_active) {
+        return c.json({ success: false, error: { message: 'This reminder is already done' } }, 409);
+    }
+    await q.snoozeReminder(c.env.DB, reminder.id, snoozedUntil);
+    return c.json({ success: true, message: 'Reminder snoozed', data: { snoozed_until: snoozedUntil } });
+});
+bookSpecificRoutes.delete('/reminders/:reminderId', requirePermission('entries:write'), loadBookResource('reminder', 'reminderId'), audit('delete', 'reminder', { param: 'reminderId' }), async (c) => {
     const { reminderId } = c.req.param();
     await q.deleteReminder(c.env.DB, reminderId);
     return c.json({ success: true, message: 'Reminder deleted successfully' });
 });
 // --- [BARU] CRUD Tujuan Tabungan (Goals) ---
-bookSpecificRoutes.get('/goals', async (c) => {
+// Goal ACCOUNT/CONTRIBUTIONS: progres dan is_achieved dihitung dari buku besar (src/lib/goals.js).
+// Nominal goal dikembalikan apa adanya (sen), sama seperti sebelumnya.
+// Mengembalikan pesan error, atau null jika data goal valid
+const goalError = (data) => {
+    if (!data.name) return 'Name is required';
+    if (!(Number(data.target_amount) > 0)) return 'target_amount must be greater than 0';
+    if (data.target_date && !isValidDate(data.target_date)) return 'target_date must be a date (YYYY-MM-DD)';
+    if (!GOAL_FUNDING_SOURCES.includes(data.funding_source)) {
+        return `Invalid funding_source. Use one of: ${GOAL_FUNDING_SOURCES.join(', ')}.`;
+    }
+    if (data.funding_source === 'ACCOUNT' && !data.account_id) return 'account_id is required when funding_source is ACCOUNT';
+    return null;
+};
+const normalizeFundingSource = (body) => ({
+    ...body,
+    funding_source: typeof body.funding_source === 'string' ? body.funding_source.toUpperCase() : body.funding_source
+});
+const goalWithProgress = (goal) => withGoalProgress(goal, toDateString(new Date()));
+
+bookSpecificRoutes.get('/goals', requirePermission('book:read'), async (c) => {
     const { bookId } = c.req.param();
     const goals = await q.findGoalsByBookId(c.env.DB, bookId);
     // [PERBAIKAN] Hapus konversi sen
-    return c.json({ success: true, data: goals });
+    return c.json({ success: true, data: goals.map(goalWithProgress) });
 });
 
-bookSpecificRoutes.post('/goals', async (c) => {
+bookSpecificRoutes.post('/goals', requirePermission('entries:write'), idempotent, audit('create', 'goal'), async (c) => {
     const { bookId } = c.req.param();
-    const body = await c.req.json();
-    const newGoal = await q.createGoal(c.env.DB, { book_id: bookId, ...body });
+    const body = normalizeFundingSource({ funding_source: 'MANUAL', ...(await c.req.json()) });
+    const invalid = goalError(body);
+    if (invalid) {
+        return c.json({ success: false, error: { message: invalid } }, 400);
+    }
+    const notFound = await referencesNotFound(c, { account: [body.account_id] });
+    if (notFound) return notFound;
+    // Progres akun tertaut dihitung sejak hari ini
+    const account_linked_at = body.funding_source === 'ACCOUNT' ? toDateString(new Date()) : null;
+    const newGoal = await q.createGoal(c.env.DB, { book_id: bookId, ...body, account_linked_at });
     return c.json({ success: true, data: newGoal }, 201);
 });
 
-bookSpecificRoutes.put('/goals/:goalId', async (c) => {
-    const { goalId } = c.req.param();
-    const body = await c.req.json();
-    const updatedGoal = await q.updateGoal(c.env.DB, goalId, body);
-    return c.json({ success: true, data: updatedGoal });
+bookSpecificRoutes.get('/goals/:goalId', requirePermission('book:read'), loadBookResource('goal', 'goalId'), async (c) => {
+    const { bookId, goalId } = c.req.param();
+    const goal = await q.findGoalById(c.env.DB, bookId, goalId);
+    c.header('ETag', toEtag(goal.version));
+    return c.json({ success: true, data: goalWithProgress(goal) });
+});
+
+// [BARU] Riwayat setoran (?limit, ?cursor)
+bookSpecificRoutes.get('/goals/:goalId/contributions', requirePermission('book:read'), loadBookResource('goal', 'goalId'), async (c) => {
+    const { limit, cursor } = c.req.query();
+    const result = await q.findGoalContributions(c.env.DB, c.get('goal'), { limit, cursor });
+    if (result.error) {
+        return c.json({ success: false, error: { message: result.error } }, 400);
+    }
+    return c.json({
+        success: true,
+        data: result.contributions,
+        pagination: { next_cursor: result.nextCursor, has_more: Boolean(result.nextCursor) }
+    });
 });
 
-bookSpecificRoutes.delete('/goals/:goalId', async (c) => {
+bookSpecificRoutes.put('/goals/:goalId', requirePermission('entries:write'), loadBookResource('goal', 'goalId'), requireIfMatch('goal', 'goalId'), audit('update', 'goal', { param: 'goalId' }), async (c) => {
+    const { bookId, goalId } = c.req.param();
+    const goal = c.get('goal');
+    const body = normalizeFundingSource(await c.req.json());
+    // [DIUBAH] Field yang tidak dikirim tetap. current_amount/is_achieved hanya bisa diisi untuk goal MANUAL.
+    const stored = {
+        name: goal.name,
+        target_amount: goal.target_amount / 100,
+        current_amount: goal.current_amount / 100,
+        target_date: goal.target_date,
+        icon: goal.icon,
+        is_achieved: goal.is_achieved,
+        funding_source: goal.funding_source,
+        account_id: goal.account_id
+    };
+    const merged = { ...stored, ...Object.fromEntries(Object.entries(body).filter(([, value]) => value !== undefined)) };
+    if (merged.funding_source !== 'MANUAL') {
+        merged.current_amount = stored.current_amount;
+        merged.is_achieved = stored.is_achieved;
+    }
+    // account_linked_at diatur server: diisi hari ini saat akun baru ditautkan atau diganti
+    if (merged.funding_source !== 'ACCOUNT') {
+        merged.account_id = null;
+        merged.account_linked_at = null;
+    } else {
+        const relinked = goal.funding_source !== 'ACCOUNT' || goal.account_id !== merged.account_id;
+        merged.account_linked_at = relinked ? toDateString(new Date()) : goal.account_linked_at;
+    }
+    const invalid = goalError(merged);
+    if (invalid) {
+        return c.json({ success: false, error: { message: invalid } }, 400);
+    }
+    const notFound = await referencesNotFound(c, { account: [merged.account_id] });
+    if (notFound) return notFound;
+    const result = await q.updateGoal(c.env.DB, goalId, merged, c.get('ifMatchVersion'));
+    if (result.conflict) return versionConflict(c, 'goal', 'goalId');
+    return c.json({ success: true, data: goalWithProgress(await q.findGoalById(c.env.DB, bookId, goalId)) });
+});
+
+bookSpecificRoutes.delete('/goals/:goalId', requirePermission('entries:write'), loadBookResource('goal', 'goalId'), requireIfMatch('goal', 'goalId'), audit('delete', 'goal', { param: 'goalId' }), async (c) => {
     const { goalId } = c.req.param();
-    await q.deleteGoal(c.env.DB, goalId);
-    return c.json({ success: true, message: 'Goal deleted successfully' });
+    const result = await q.softDeleteBookResource(c.env.DB, 'goal', goalId, c.get('user').id, c.get('ifMatchVersion'));
+    if (result.conflict) return versionConflict(c, 'goal', 'goalId');
+    return c.json({ success: true, message: 'Goal moved to trash' });
 });
 // --- [BARU] CRUD Catatan (Notes) ---
-bookSpecificRoutes.get('/notes', async (c) => {
+bookSpecificRoutes.get('/notes', requirePermission('book:read'), async (c) => {
     const { bookId } = c.req.param();
     const { date } = c.req.query(); // Filter berdasarkan tanggal
     const notes = await q.findNotesByBookId(c.env.DB, bookId, { date });
     return c.json({ success: true, data: notes });
 });
-bookSpecificRoutes.post('/notes', async (c) => {
+bookSpecificRoutes.post('/notes', requirePermission('entries:write'), idempotent, audit('create', 'note'), async (c) => {
     const user = c.get('user');
     const { bookId } = c.req.param();
     const body = await c.req.json();
     const newNote = await q.createNote(c.env.DB, { book_id: bookId, ...body }, user.id);
     return c.json({ success: true, data: newNote }, 201);
 });
-bookSpecificRoutes.put('/notes/:noteId', async (c) => {
+bookSpecificRoutes.get('/notes/:noteId', requirePermission('book:read'), loadBookResource('note', 'noteId'), async (c) => {
+    const note = c.get('note');
+    c.header('ETag', toEtag(note.version));
+    return c.json({ success: true, data: note });
+});
+bookSpecificRoutes.put('/notes/:noteId', requirePermission('entries:write'), loadBookResource('note', 'noteId'), requireIfMatch('note', 'noteId'), audit('update', 'note', { param: 'noteId' }), async (c) => {
     const user = c.get('user');
     const { noteId } = c.req.param();
     const body = await c.req.json();
-    const updatedNote = await q.updateNote(c.env.DB, noteId, body, user.id);
+    const updatedNote = await q.updateNote(c.env.DB, noteId, body, user.id, c.get('ifMatchVersion'));
+    if (updatedNote.conflict) return versionConflict(c, 'note', 'noteId');
     return c.json({ success: true, data: updatedNote });
 });
-bookSpecificRoutes.delete('/notes/:noteId', async (c) => {
+bookSpecificRoutes.delete('/notes/:noteId', requirePermission('entries:write'), loadBookResource('note', 'noteId'), requireIfMatch('note', 'noteId'), audit('delete', 'note', { param: 'noteId' }), async (c) => {
     const { noteId } = c.req.param();
-    await q.deleteNote(c.env.DB, noteId);
-    return c.json({ success: true, message: 'Note deleted successfully' });
+    const result = await q.softDeleteBookResource(c.env.DB, 'note', noteId, c.get('user').id, c.get('ifMatchVersion'));
+    if (result.conflict) return versionConflict(c, 'note', 'noteId');
+    return c.json({ success: true, message: 'Note moved to trash' });
 });
 
 // --- [BARU] Endpoint untuk Ekspor Data ---
-bookSpecificRoutes.get('/export/csv', async (c) => {
+bookSpecificRoutes.get('/export/csv', requirePermission('book:read'), async (c) => {
     const { bookId } = c.req.param();
     const book = await q.findBookById(c.env.DB, bookId);
     
@@ -280,250 +644,515 @@ bookSpecificRoutes.get('/export/csv', async (c) => {
 });
 
 // --- [DIPERTAHANKAN] CRUD Kategori ---
-bookSpecificRoutes.get('/categories', async (c) => {
+bookSpecificRoutes.get('/categories', requirePermission('book:read'), async (c) => {
     const { bookId } = c.req.param();
     const categories = await q.findCategoriesByBookId(c.env.DB, bookId);
     return c.json({ success: true, data: categories });
 });
-bookSpecificRoutes.post('/categories', async (c) => {
+bookSpecificRoutes.post('/categories', requirePermission('entries:write'), idempotent, audit('create', 'category'), async (c) => {
     const { bookId } = c.req.param();
     const body = await c.req.json();
     const newCategory = await q.createCategory(c.env.DB, { book_id: bookId, ...body });
     return c.json({ success: true, data: newCategory }, 201);
 });
-bookSpecificRoutes.put('/categories/:categoryId', async (c) => {
+bookSpecificRoutes.put('/categories/:categoryId', requirePermission('entries:write'), loadBookResource('category', 'categoryId'), audit('update', 'category', { param: 'categoryId' }), async (c) => {
     const { categoryId } = c.req.param();
     const body = await c.req.json();
     const updatedCategory = await q.updateCategory(c.env.DB, categoryId, body);
     return c.json({ success: true, data: updatedCategory });
 });
-bookSpecificRoutes.delete('/categories/:categoryId', async (c) => {
+bookSpecificRoutes.delete('/categories/:categoryId', requirePermission('entries:write'), loadBookResource('category', 'categoryId'), audit('delete', 'category', { param: 'categoryId' }), async (c) => {
     const { categoryId } = c.req.param();
-    await q.deleteCategory(c.env.DB, categoryId);
-    return c.json({ success: true, message: 'Category deleted successfully' });
+    await q.softDeleteBookResource(c.env.DB, 'category', categoryId, c.get('user').id);
+    return c.json({ success: true, message: 'Category moved to trash' });
 });
 
 // --- [DIPERTAHANKAN] CRUD Kontak ---
-bookSpecificRoutes.get('/contacts', async (c) => {
+bookSpecificRoutes.get('/contacts', requirePermission('book:read'), async (c) => {
     const { bookId } = c.req.param();
     const contacts = await q.findContactsByBookId(c.env.DB, bookId);
     return c.json({ success: true, data: contacts });
 });
-bookSpecificRoutes.post('/contacts', async (c) => {
+bookSpecificRoutes.post('/contacts', requirePermission('entries:write'), idempotent, audit('create', 'contact'), async (c) => {
     const user = c.get('user');
     const { bookId } = c.req.param();
     const body = await c.req.json();
     const newContact = await q.createContact(c.env.DB, { book_id: bookId, ...body }, user.id);
     return c.json({ success: true, data: newContact }, 201);
 });
-bookSpecificRoutes.put('/contacts/:contactId', async (c) => {
+bookSpecificRoutes.put('/contacts/:contactId', requirePermission('entries:write'), loadBookResource('contact', 'contactId'), audit('update', 'contact', { param: 'contactId' }), async (c) => {
     const { contactId } = c.req.param();
     const body = await c.req.json();
     const updatedContact = await q.updateContact(c.env.DB, contactId, body);
     return c.json({ success: true, data: updatedContact });
 });
-bookSpecificRoutes.delete('/contacts/:contactId', async (c) => {
+bookSpecificRoutes.delete('/contacts/:contactId', requirePermission('entries:write'), loadBookResource('contact', 'contactId'), audit('delete', 'contact', { param: 'contactId' }), async (c) => {
     const { contactId } = c.req.param();
     await q.deleteContact(c.env.DB, contactId);
     return c.json({ success: true, message: 'Contact deleted successfully' });
 });
 
+// --- [BARU] CRUD Tag ---
+bookSpecificRoutes.get('/tags', requirePermission('book:read'), async (c) => {
+    const { bookId } = c.req.param();
+    const tags = await q.findTagsByBookId(c.env.DB, bookId);
+    return c.json({ success: true, data: tags });
+});
+bookSpecificRoutes.post('/tags', requirePermission('entries:write'), idempotent, audit('create', 'tag'), async (c) => {
+    const { bookId } = c.req.param();
+    const body = await c.req.json();
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) {
+        return c.json({ success: false, error: { message: 'Tag name is required' } }, 400);
+    }
+    if (await q.findTagByName(c.env.DB, bookId, name)) {
+        return c.json({ success: false, error: { message: 'A tag with this name already exists' } }, 409);
+    }
+    const newTag = await q.createTag(c.env.DB, { book_id: bookId, name, color: body.color });
+    return c.json({ success: true, data: newTag }, 201);
+});
+bookSpecificRoutes.put('/tags/:tagId', requirePermission('entries:write'), loadBookResource('tag', 'tagId'), audit('update', 'tag', { param: 'tagId' }), async (c) => {
+    const { bookId, tagId } = c.req.param();
+    const body = await c.req.json();
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) {
+        return c.json({ success: false, error: { message: 'Tag name is required' } }, 400);
+    }
+    const existing = await q.findTagByName(c.env.DB, bookId, name);
+    if (existing && existing.id !== tagId) {
+        return c.json({ success: false, error: { message: 'A tag with this name already exists' } }, 409);
+    }
+    const updatedTag = await q.updateTag(c.env.DB, tagId, { name, color: body.color });
+    return c.json({ success: true, data: updatedTag });
+});
+bookSpecificRoutes.delete('/tags/:tagId', requirePermission('entries:write'), loadBookResource('tag', 'tagId'), audit('delete', 'tag', { param: 'tagId' }), async (c) => {
+    const { tagId } = c.req.param();
+    await q.deleteTag(c.env.DB, tagId);
+    return c.json({ success: true, message: 'Tag deleted successfully' });
+});
+
 // --- [DIUBAH] CRUD Transaksi dengan Filter ---
-bookSpecificRoutes.get('/transactions', async (c) => {
+bookSpecificRoutes.get('/transactions', requirePermission('book:read'), async (c) => {
     const { bookId } = c.req.param();
-    const { startDate, endDate } = c.req.query(); // Ambil filter dari URL
+    // [DIUBAH] Filter, urutan & cursor dari query string
+    const {
+        startDate, endDate, accountId, categoryId, contactId, tagId, type, minAmount, maxAmount,
+        createdBy, q: search, sort, order, limit, cursor
+    } = c.req.query();
 
-    // Panggil query yang sudah Anda buat di queries.js
-    const transactions = await q.findTransactionsByBookId(
-        c.env.DB, 
-        bookId, 
-        { startDate, endDate } // Kirim filter
-    );
-    
-    return c.json({ success: true, data: transactions });
+    // 'type' bisa berisi beberapa nilai dipisah koma, misal ?type=EXPENSE,TRANSFER
+    const types = type ? type.split(',').map(t => t.trim().toUpperCase()).filter(Boolean) : [];
+    if (types.some(t => !TRANSACTION_TYPES.includes(t))) {
+        return c.json({ success: false, error: { message: `Invalid type. Use one of: ${TRANSACTION_TYPES.join(', ')}.` } }, 400);
+    }
+    if ([minAmount, maxAmount].some(value => value !== undefined && value !== '' && !Number.isFinite(Number(value)))) {
+        return c.json({ success: false, error: { message: 'minAmount and maxAmount must be numbers.' } }, 400);
+    }
+
+    const result = await q.findTransactionsByBookId(c.env.DB, bookId, {
+        startDate, endDate, accountId, categoryId, contactId, tagId, types, minAmount, maxAmount,
+        createdBy, search, sort, order, limit, cursor
+    });
+    if (result.error) {
+        return c.json({ success: false, error: { message: result.error } }, 400);
+    }
+
+    return c.json({
+        success: true,
+        data: result.transactions,
+        pagination: { next_cursor: result.nextCursor, has_more: Boolean(result.nextCursor) },
+        totals: result.totals
+    });
 });
-bookSpecificRoutes.post('/transactions', async (c) => {
+bookSpecificRoutes.post('/transactions', requirePermission('entries:write'), idempotent, audit('create', 'transaction'), budgetAlerts, async (c) => {
     const user = c.get('user');
     const { bookId } = c.req.param();
     const body = await c.req.json();
+    const notFound = await referencesNotFound(c, transactionReferences(body));
+    if (notFound) return notFound;
     const result = await q.createTransaction(c.env.DB, { book_id: bookId, ...body }, user.id);
     if (result.error) { return c.json({ success: false, error: { message: result.error }}, 400); }
     return c.json({ success: true, data: result }, 201);
 });
-bookSpecificRoutes.put('/transactions/:txId', async (c) => {
+bookSpecificRoutes.get('/transactions/:txId', requirePermission('book:read'), loadBookResource('transaction', 'txId'), async (c) => {
+    const { bookId, txId } = c.req.param();
+    const transaction = await q.findTransactionById(c.env.DB, bookId, txId);
+    c.header('ETag', toEtag(transaction.version));
+    return c.json({ success: true, data: transaction });
+});
+bookSpecificRoutes.put('/transactions/:txId', requirePermission('entries:write'), loadBookResource('transaction', 'txId'), requireIfMatch('transaction', 'txId'), audit('update', 'transaction', { param: 'txId' }), budgetAlerts, async (c) => {
     const user = c.get('user');
     const { bookId, txId } = c.req.param();
     const body = await c.req.json();
+    const notFound = await referencesNotFound(c, transactionReferences(body));
+    if (notFound) return notFound;
     
     // Panggil query update yang baru kita buat
-    const result = await q.updateTransaction(c.env.DB, txId, { book_id: bookId, ...body }, user.id);
+    const result = await q.updateTransaction(c.env.DB, txId, { book_id: bookId, ...body }, user.id, c.get('ifMatchVersion'));
     
     if (result.error) { 
         return c.json({ success: false, error: { message: result.error }}, 400); 
     }
+    if (result.conflict) return versionConflict(c, 'transaction', 'txId');
     return c.json({ success: true, data: result });
 });
-bookSpecificRoutes.delete('/transactions/:transactionId', async (c) => {
+bookSpecificRoutes.delete('/transactions/:transactionId', requirePermission('entries:write'), loadBookResource('transaction', 'transactionId'), requireIfMatch('transaction', 'transactionId'), audit('delete', 'transaction', { param: 'transactionId' }), async (c) => {
     const { transactionId } = c.req.param();
-    const result = await q.deleteTransaction(c.env.DB, transactionId);
+    const result = await q.softDeleteTransaction(c.env.DB, transactionId, c.get('user').id, c.get('ifMatchVersion'));
     if (result.error) { return c.json({ success: false, error: { message: result.error }}, 404); }
-    return c.json({ success: true, message: 'Transaction deleted successfully' });
+    if (result.conflict) return versionConflict(c, 'transaction', 'transactionId');
+    return c.json({ success: true, message: 'Transaction moved to trash' });
+});
+
+// --- [BARU] Tempat Sampah Buku ---
+// Item tetap bisa dipulihkan selama TRASH_RETENTION_DAYS, setelah itu dihapus permanen oleh job terjadwal
+const TRASH_RESOURCES = { transactions: 'transaction', categories: 'category', goals: 'goal', notes: 'note' };
+const loadTrashItem = async (c, next) => {
+    const { bookId, resource, itemId } = c.req.param();
+    const resourceName = TRASH_RESOURCES[resource];
+    const item = resourceName && await q.findBookResource(c.env.DB, resourceName, bookId, itemId, { deleted: true });
+    if (!item) {
+        return c.json({ success: false, error: { message: 'Item not found in trash' } }, 404);
+    }
+    c.set('trashItem', { resource: resourceName, item });
+    await next();
+};
+const trashEntityType = (c) => TRASH_RESOURCES[c.req.param('resource')];
+bookSpecificRoutes.get('/trash', requirePermission('book:read'), async (c) => {
+    const { bookId } = c.req.param();
+    const trash = await q.findTrashByBookId(c.env.DB, bookId);
+    return c.json({ success: true, data: { ...trash, retention_days: q.TRASH_RETENTION_DAYS } });
+});
+bookSpecificRoutes.post('/trash/:resource/:itemId/restore', requirePermission('entries:write'), loadTrashItem, audit('restore', trashEntityType, { param: 'itemId' }), async (c) => {
+    const { resource, item } = c.get('trashItem');
+    if (resource === 'transaction') {
+        // Pemulihan transaksi menerapkan lagi efek saldonya
+        const result = await q.restoreTransaction(c.env.DB, item.id);
+        if (result.notFound) {
+            return c.json({ success: false, error: { message: 'Item not found in trash' } }, 404);
+        }
+        if (result.error) {
+            return c.json({ success: false, error: { message: result.error } }, 409);
+        }
+    } else {
+        await q.restoreBookResource(c.env.DB, resource, item.id);
+    }
+    return c.json({ success: true, message: 'Item restored' });
+});
+bookSpecificRoutes.delete('/trash/:resource/:itemId', requirePermission('entries:write'), loadTrashItem, audit('purge', trashEntityType, { param: 'itemId' }), async (c) => {
+    const { resource, item } = c.get('trashItem');
+    if (resource === 'transaction' || resource === 'note') {
+        const parent = resource === 'transaction' ? { transactionId: item.id } : { noteId: item.id };
+        const attachmentKeys = await q.findAttachmentKeysByParent(c.env.DB, parent);
+        await (resource === 'transaction' ? q.purgeTransaction(c.env.DB, item.id) : q.deleteNote(c.env.DB, item.id));
+        await releaseAttachmentObjects(c, attachmentKeys);
+    } else if (resource === 'category') {
+        await q.deleteCategory(c.env.DB, item.id);
+    } else {
+        await q.deleteGoal(c.env.DB, item.id);
+    }
+    return c.json({ success: true, message: 'Item permanently deleted' });
+});
+
+// --- [BARU] Lampiran Transaksi & Catatan (file di R2) ---
+// Upload multipart/form-data dengan field 'file'
+const uploadAttachment = (parentResource) => async (c) => {
+    const { bookId } = c.req.param();
+    const parent = c.get(parentResource);
+    const body = await c.req.parseBody();
+    const file = body.file;
+    if (!file || typeof file === 'string') {
+        return c.json({ success: false, error: { message: 'Send the file as multipart/form-data in the "file" field.' } }, 400);
+    }
+    const invalid = validateAttachmentFile(file);
+    if (invalid) {
+        return c.json({ success: false, error: { message: invalid } }, file.size > MAX_ATTACHMENT_BYTES ? 413 : 415);
+    }
+
+    const id = `att-${crypto.randomUUID()}`;
+    const r2_key = attachmentKey(bookId, id);
+    await putAttachmentObject(c.env, r2_key, await file.arrayBuffer(), file.type);
+    const attachment = await q.createAttachment(c.env.DB, {
+        id,
+        book_id: bookId,
+        transaction_id: parentResource === 'transaction' ? parent.id : null,
+        note_id: parentResource === 'note' ? parent.id : null,
+        r2_key,
+        file_name: file.name,
+        mime_type: file.type,
+        size: file.size,
+        uploaded_by: c.get('user').id
+    });
+    return c.json({ success: true, data: await toPublicAttachment(c, attachment) }, 201);
+};
+const listAttachments = (parentResource) => async (c) => {
+    const parent = c.get(parentResource);
+    const attachments = await q.findAttachmentsByParent(c.env.DB, parentResource === 'transaction' ? { transactionId: parent.id } : { noteId: parent.id });
+    return c.json({ success: true, data: await Promise.all(attachments.map(attachment => toPublicAttachment(c, attachment))) });
+};
+bookSpecificRoutes.get('/transactions/:txId/attachments', requirePermission('book:read'), loadBookResource('transaction', 'txId'), listAttachments('transaction'));
+bookSpecificRoutes.post('/transactions/:txId/attachments', requirePermission('entries:write'), idempotent, loadBookResource('transaction', 'txId'), audit('create', 'attachment'), uploadAttachment('transaction'));
+bookSpecificRoutes.get('/notes/:noteId/attachments', requirePermission('book:read'), loadBookResource('note', 'noteId'), listAttachments('note'));
+bookSpecificRoutes.post('/notes/:noteId/attachments', requirePermission('entries:write'), idempotent, loadBookResource('note', 'noteId'), audit('create', 'attachment'), uploadAttachment('note'));
+// Metadata + link unduhan baru (link lama berlaku singkat)
+bookSpecificRoutes.get('/attachments/:attachmentId', requirePermission('book:read'), loadBookResource('attachment', 'attachmentId'), async (c) => {
+    return c.json({ success: true, data: await toPublicAttachment(c, c.get('attachment')) });
+});
+bookSpecificRoutes.delete('/attachments/:attachmentId', requirePermission('entries:write'), loadBookResource('attachment', 'attachmentId'), audit('delete', 'attachment', { param: 'attachmentId' }), async (c) => {
+    const attachment = c.get('attachment');
+    await q.deleteAttachment(c.env.DB, attachment.id);
+    await releaseAttachmentObjects(c, [attachment.r2_key]);
+    return c.json({ success: true, message: 'Attachment deleted successfully' });
+});
+
+// --- [BARU] Riwayat Aktivitas Buku (audit log) ---
+// Filter: memberId (pelaku), entityType, startDate, endDate; paginasi dengan limit & cursor
+bookSpecificRoutes.get('/activity', requirePermission('book:read'), async (c) => {
+    const { bookId } = c.req.param();
+    const { memberId, entityType, startDate, endDate, limit, cursor } = c.req.query();
+    const result = await q.findAuditLogsByBookId(c.env.DB, bookId, { memberId, entityType, startDate, endDate, limit, cursor });
+    if (result.error) {
+        return c.json({ success: false, error: { message: result.error } }, 400);
+    }
+    return c.json({
+        success: true,
+        data: result.activity,
+        pagination: { next_cursor: result.nextCursor, has_more: Boolean(result.nextCursor) }
+    });
 });
 
 // --- [DIPERTAHANKAN] CRUD Anggota ---
-bookSpecificRoutes.get('/members', async (c) => {
+bookSpecificRoutes.get('/members', requirePermission('book:read'), async (c) => {
     const { bookId } = c.req.param();
     const members = await q.findMembersByBookId(c.env.DB, bookId);
     return c.json({ success: true, data: members });
 });
-bookSpecificRoutes.post('/members', async (c) => {
-    const memberRole = c.get('member').role;
-    // [PERBAIKAN] Peran 'ADMIN' juga harus bisa mengundang
-    if (memberRole !== 'OWNER' && memberRole !== 'ADMIN') { 
-        return c.json({ success: false, error: { message: 'Forbidden: Hanya Owner atau Admin yang dapat menambah anggota.' } }, 403); 
-    }
+// [DIUBAH] Menambah anggota kini lewat undangan: penerima (terdaftar atau belum) harus menerimanya dulu
+const sendInvitation = async (c, { invitation, token, book }) => {
+    const inviter = await q.findUserById(c.env.DB, c.get('user').id);
+    // Kirim email (tanpa menunggu selesai)
+    c.executionCtx.waitUntil(
+        sendBookInvitationEmail(c, {
+            to: invitation.email,
+            inviterName: inviter.full_name,
+            bookName: book.name,
+            acceptUrl: `${c.env.APP_BASE_URL}/invitations/accept?token=${token}`
+        })
+    );
+};
 
+bookSpecificRoutes.post('/members', requirePermission('members:invite'), idempotent, audit('create', 'invitation'), async (c) => {
     const { bookId } = c.req.param();
-    const { email, role, label } = await c.req.json();
-
-    const userToInvite = await q.findUserByEmail(c.env.DB, email);
-    if (!userToInvite) { 
-        return c.json({ success: false, error: { message: 'User dengan email tersebut tidak ditemukan.' } }, 404); 
+    const { email, role = 'EDITOR', label } = await c.req.json();
+    const normalizedEmail = typeof email === 'string' ? email.trim().toLowerCase() : '';
+    if (!normalizedEmail) {
+        return c.json({ success: false, error: { message: 'Email wajib diisi.' } }, 400);
+    }
+    // [BARU] Admin hanya bisa mengundang Editor/Viewer; Owner juga bisa mengundang Admin
+    const allowedRoles = assignableRoles(c.get('member').role);
+    if (!allowedRoles.includes(role)) {
+        return c.json({ success: false, error: { message: `Peran tidak valid. Pilih salah satu: ${allowedRoles.join(', ')}.` } }, 400);
     }
 
-    // [BARU] Ambil data user pengundang (Anda)
-    const inviterId = c.get('user').id;
-    if (userToInvite.id === inviterId) {
+    const inviter = await q.findUserById(c.env.DB, c.get('user').id);
+    if (inviter.email.toLowerCase() === normalizedEmail) {
         return c.json({ success: false, error: { message: 'Anda tidak bisa mengundang diri sendiri.' } }, 400);
     }
 
-    const inviter = await q.findUserById(c.env.DB, inviterId);
-    if (!inviter) {
-        return c.json({ success: false, error: { message: 'Gagal menemukan data pengundang.' } }, 500);
+    const existingUser = await q.findUserByEmail(c.env.DB, normalizedEmail);
+    if (existingUser && await q.findMember(c.env.DB, bookId, existingUser.id)) {
+        return c.json({ success: false, error: { message: 'User ini sudah menjadi anggota dompet.' } }, 409);
+    }
+    if (await q.findPendingInvitation(c.env.DB, bookId, normalizedEmail)) {
+        return c.json({ success: false, error: { message: 'Email ini sudah diundang. Gunakan kirim ulang undangan.' } }, 409);
     }
 
-    // [BARU] Ambil nama dompet
     const book = await q.findBookById(c.env.DB, bookId);
-    if (!book) {
-        return c.json({ success: false, error: { message: 'Gagal menemukan data dompet.' } }, 404);
+    const token = generateRandomToken();
+    const invitation = await q.createBookInvitation(c.env.DB, {
+        book_id: bookId,
+        email: normalizedEmail,
+        role,
+        label,
+        invited_by: inviter.id,
+        token_hash: await sha256Hex(token)
+    });
+    await sendInvitation(c, { invitation, token, book });
+
+    return c.json({ success: true, message: 'Undangan berhasil dikirim', data: invitation }, 201);
+});
+
+// --- [BARU] Kelola Undangan (Owner/Admin) ---
+bookSpecificRoutes.get('/invitations', requirePermission('members:invite'), async (c) => {
+    const { bookId } = c.req.param();
+    const invitations = await q.findPendingInvitationsByBookId(c.env.DB, bookId);
+    return c.json({ success: true, data: invitations });
+});
+bookSpecificRoutes.post('/invitations/:invitationId/resend', requirePermission('members:invite'), audit('resend', 'invitation', { param: 'invitationId' }), async (c) => {
+    const { bookId, invitationId } = c.req.param();
+    const invitation = await q.findInvitationById(c.env.DB, invitationId);
+    if (!invitation || invitation.book_id !== bookId || invitation.status !== 'PENDING') {
+        return c.json({ success: false, error: { message: 'Undangan tidak ditemukan.' } }, 404);
     }
 
-    try {
-        await q.addBookMember(c.env.DB, bookId, userToInvite.id, role, label);
-
-        // [BARU] Kirim email notifikasi (tanpa menunggu selesai)
-        c.executionCtx.waitUntil(
-            sendBookInvitationEmail(c, {
-                to: userToInvite.email,
-                inviterName: inviter.full_name,
-                bookName: book.name
-            })
-        );
-
-        return c.json({ success: true, message: 'Anggota berhasil ditambahkan' }, 201);
-
-    } catch (e) {
-        // Menangani jika user sudah menjadi anggota
-        if (e.message.includes('UNIQUE constraint failed')) {
-            return c.json({ success: false, error: { message: 'User ini sudah menjadi anggota dompet.' } }, 409);
-        }
-        return c.json({ success: false, error: { message: 'Gagal menambahkan anggota.', details: e.message } }, 500);
+    // Token lama otomatis tidak berlaku lagi
+    const token = generateRandomToken();
+    const expires_at = await q.refreshInvitationToken(c.env.DB, invitation.id, await sha256Hex(token));
+    const book = await q.findBookById(c.env.DB, bookId);
+    await sendInvitation(c, { invitation, token, book });
+
+    return c.json({ success: true, message: 'Undangan berhasil dikirim ulang', data: { id: invitation.id, expires_at } });
+});
+bookSpecificRoutes.delete('/invitations/:invitationId', requirePermission('members:invite'), audit('cancel', 'invitation', { param: 'invitationId' }), async (c) => {
+    const { bookId, invitationId } = c.req.param();
+    const invitation = await q.findInvitationById(c.env.DB, invitationId);
+    if (!invitation || invitation.book_id !== bookId || invitation.status !== 'PENDING') {
+        return c.json({ success: false, error: { message: 'Undangan tidak ditemukan.' } }, 404);
     }
+    await q.updateInvitationStatus(c.env.DB, invitation.id, 'CANCELLED');
+    return c.json({ success: true, message: 'Undangan dibatalkan' });
 });
-bookSpecificRoutes.delete('/members/:userId', async (c) => {
-    if (c.get('member').role !== 'OWNER') { return c.json({ success: false, error: { message: 'Forbidden: Only the owner can remove members.' } }, 403); }
+bookSpecificRoutes.delete('/members/:userId', requirePermission('members:manage'), audit('delete', 'member', { param: 'userId' }), async (c) => {
     const { bookId, userId } = c.req.param();
     if (c.get('user').id === userId) { return c.json({ success: false, error: { message: 'Owner cannot remove themselves.' } }, 400); }
     await q.removeBookMember(c.env.DB, bookId, userId);
     return c.json({ success: true, message: 'Member removed successfully' });
 });
 
+// --- [BARU] Ubah Peran & Alihkan Kepemilikan ---
+bookSpecificRoutes.put('/members/:userId/role', requirePermission('members:manage'), audit('update_role', 'member', { param: 'userId' }), async (c) => {
+    const { bookId, userId } = c.req.param();
+    const { role } = await c.req.json();
+    if (!['ADMIN', 'EDITOR', 'VIEWER'].includes(role)) {
+        return c.json({ success: false, error: { message: 'Role must be ADMIN, EDITOR or VIEWER. Use transfer-ownership to change the owner.' } }, 400);
+    }
+    if (c.get('user').id === userId) {
+        return c.json({ success: false, error: { message: 'You cannot change your own role.' } }, 400);
+    }
+    const target = await q.findMember(c.env.DB, bookId, userId);
+    if (!target) {
+        return c.json({ success: false, error: { message: 'Member not found' } }, 404);
+    }
+    if (target.role === 'OWNER') {
+        return c.json({ success: false, error: { message: 'The owner role can only change through an ownership transfer.' } }, 400);
+    }
+    await q.updateMemberRole(c.env.DB, bookId, userId, role);
+    return c.json({ success: true, data: { user_id: userId, role } });
+});
+
+bookSpecificRoutes.post('/transfer-ownership', requirePermission('book:transfer'), audit('transfer_ownership', 'book', { param: 'bookId' }), async (c) => {
+    const { bookId } = c.req.param();
+    const { userId } = await c.req.json();
+    const currentOwnerId = c.get('user').id;
+    if (!userId || userId === currentOwnerId) {
+        return c.json({ success: false, error: { message: 'Choose another member as the new owner.' } }, 400);
+    }
+    const target = await q.findMember(c.env.DB, bookId, userId);
+    if (!target) {
+        return c.json({ success: false, error: { message: 'The new owner must already be a member of this book.' } }, 404);
+    }
+    // Owner lama tetap di buku sebagai Admin
+    await q.transferBookOwnership(c.env.DB, bookId, currentOwnerId, userId);
+    return c.json({ success: true, message: 'Ownership transferred successfully' });
+});
+
+// [BARU] Buku di tempat sampah. Didaftarkan sebelum grup '/:bookId' agar tidak melewati
+// checkBookMembership (yang menolak buku yang sudah dihapus).
+bookRoutes.get('/trash', async (c) => {
+    const books = await q.findDeletedBooksByOwner(c.env.DB, c.get('user').id);
+    return c.json({ success: true, data: books });
+});
+bookRoutes.post('/:bookId/restore', audit('restore', 'book', { param: 'bookId' }), async (c) => {
+    const user = c.get('user');
+    const { bookId } = c.req.param();
+    if (user.apiTokenBookIds && !user.apiTokenBookIds.includes(bookId)) {
+        return c.json({ success: false, error: { message: 'Forbidden: This API token has no access to this book.' } }, 403);
+    }
+    const book = await q.findBookById(c.env.DB, bookId);
+    const member = book && await q.findMember(c.env.DB, bookId, user.id);
+    if (!book || !book.deleted_at || !member) {
+        return c.json({ success: false, error: { message: 'Book not found in trash' } }, 404);
+    }
+    if (!hasPermission(member.role, 'book:delete')) {
+        return c.json({ success: false, error: { message: 'Forbidden: Your role in this book does not allow this action.' } }, 403);
+    }
+    await q.restoreBook(c.env.DB, bookId);
+    return c.json({ success: true, message: 'Book restored' });
+});
+
 // Menerapkan grup rute spesifik book ke path utama
 bookRoutes.route('/:bookId', bookSpecificRoutes);
 
 
 
-// [PERBAIKAN UNTUK FILE: casflo-api/src/routes/books.js]
-// Ganti endpoint '/:id/transactions/batch' yang lama dengan ini:
+// --- [DIUBAH] Batch Transaksi ---
+// Semua tipe (EXPENSE, INCOME, TRANSFER, termasuk split) lewat builder yang sama dengan POST /transactions.
+// Semua item divalidasi dulu, lalu respons berisi status per item (urutan sama dengan input).
+// mode 'atomic' (default): satu item gagal -> tidak ada yang disimpan.
+// mode 'partial': item yang valid tetap disimpan, item yang gagal dilaporkan.
+const MAX_BATCH_TRANSACTIONS = 100;
+const BATCH_MODES = ['atomic', 'partial'];
 
-bookRoutes.post('/:bookId/transactions/batch', protect, async (c) => {
+bookRoutes.post('/:bookId/transactions/batch', protect, requirePermission('entries:write'), idempotent, audit('create', 'transaction'), budgetAlerts, async (c) => {
     try {
         const book_id = c.req.param('bookId'); // [PERBAIKAN] Ganti nama param
         const userId = c.get('user').id;
-        const { transactions } = await c.req.json();
+        const { transactions, attachment_id, mode = 'atomic' } = await c.req.json();
 
-        if (!transactions || !Array.isArray(transactions) || transactions.length === 0) {
-             return c.json({ error: 'Array "transactions" diperlukan' }, 400);
+        if (!Array.isArray(transactions) || transactions.length === 0) {
+            return c.json({ success: false, error: { message: 'Array "transactions" diperlukan' } }, 400);
         }
-        
-        const statements = [];
-        
-        for (const item of transactions) {
-            // Validasi data item
-            if (!item.amount || !item.category_id || !item.from_account_id || !item.description || !item.transaction_date || item.type !== 'EXPENSE') {
-                console.warn("Melewatkan item batch yang tidak lengkap atau tipe salah:", item);
-                continue; 
-            }
-            
-            const newTxId = `tx-${crypto.randomUUID()}`;
-            const amount = Math.round(Math.abs(item.amount)); 
-            
-            // 1. INSERT Transaksi (wrapper)
-            statements.push(
-                c.env.DB.prepare('INSERT INTO transactions (id, book_id, contact_id, description, transaction_date, created_by) VALUES (?, ?, ?, ?, ?, ?)')
-                    .bind(
-                        newTxId, 
-                        book_id, 
-                        null, // contact_id
-                        item.description, 
-                        item.transaction_date, 
-                        userId
-                    )
-            );
-            
-            // 2. INSERT Split DEBIT (Kategori)
-            statements.push(
-                c.env.DB.prepare('INSERT INTO transaction_splits (id, transaction_id, account_id, category_id, amount, type) VALUES (?, ?, ?, ?, ?, ?)')
-                    .bind(
-                        `spl-${crypto.randomUUID()}`,
-                        newTxId,
-                        item.from_account_id,
-                        item.category_id,
-                        amount, // Positif
-                        'DEBIT'
-                    )
-            );
-
-            // 3. INSERT Split CREDIT (Akun)
-             statements.push(
-                c.env.DB.prepare('INSERT INTO transaction_splits (id, transaction_id, account_id, category_id, amount, type) VALUES (?, ?, ?, ?, ?, ?)')
-                    .bind(
-                        `spl-${crypto.randomUUID()}`,
-                        newTxId,
-                        item.from_account_id,
-                        null, // Kategori null
-                        -amount, // Negatif
-                        'CREDIT'
-                    )
-            );
-            
-            // 4. UPDATE Saldo Akun
-            statements.push(
-                c.env.DB.prepare("UPDATE accounts SET balance = balance - ? WHERE id = ?")
-                    .bind(amount, item.from_account_id)
-            );
+        if (transactions.length > MAX_BATCH_TRANSACTIONS) {
+            return c.json({ success: false, error: { message: `A batch can contain at most ${MAX_BATCH_TRANSACTIONS} transactions.` } }, 400);
+        }
+        if (!BATCH_MODES.includes(mode)) {
+            return c.json({ success: false, error: { message: `Invalid mode. Use one of: ${BATCH_MODES.join(', ')}.` } }, 400);
+        }
+
+        // [BARU] Foto struk dari /scan (belum terhubung ke transaksi) ikut dilampirkan ke semua transaksi batch ini
+        const scanAttachment = attachment_id ? await q.findBookResource(c.env.DB, 'attachment', book_id, attachment_id) : null;
+        if (attachment_id && (!scanAttachment || scanAttachment.source !== 'SCAN' || scanAttachment.transaction_id || scanAttachment.note_id)) {
+            return c.json({ success: false, error: { message: 'Scan attachment not found' } }, 404);
         }
-        
-        if (statements.length === 0) {
-             return c.json({ error: 'Tidak ada transaksi valid untuk disimpan' }, 400);
+
+        // Validasi isi item, lalu akun/kategori/kontak/tag harus milik buku ini
+        const items = transactions.map(item => (item && typeof item === 'object' ? { ...item, book_id } : null));
+        const referenceErrors = await q.validateBookReferencesList(c.env.DB, book_id, items.map(item => (item ? transactionReferences(item) : {})));
+        const errors = items.map((item, index) => {
+            if (!item) return 'Each item must be an object';
+            return q.validateTransactionData(item).error || referenceErrors[index];
+        });
+        const validItems = items.filter((item, index) => !errors[index]);
+        const hasErrors = errors.some(Boolean);
+
+        let created = [];
+        if (validItems.length > 0 && !(hasErrors && mode === 'atomic')) {
+            const result = await q.createTransactionsBatch(c.env.DB, validItems, userId, { scanAttachment });
+            if (result.error) {
+                return c.json({ success: false, error: { message: result.error } }, 400);
+            }
+            created = result.transactions;
         }
 
-        await c.env.DB.batch(statements);
-        return c.json({ success: true, data: { count: statements.length / 4 } });
+        let createdIndex = 0;
+        const results = errors.map((error, index) => {
+            if (error) return { index, status: 'failed', error };
+            if (created.length === 0) return { index, status: 'skipped' };
+            return { index, status: 'created', id: created[createdIndex++].id };
+        });
+        const ids = created.map(transaction => transaction.id);
+
+        if (ids.length === 0) {
+            const message = mode === 'atomic'
+                ? 'Some transactions are invalid. Nothing was saved.'
+                : 'No valid transactions to save.';
+            return c.json({ success: false, error: { message }, data: { mode, count: 0, ids, results } }, 400);
+        }
+        return c.json({ success: true, data: { mode, count: ids.length, ids, results } }, 201);
 
     } catch (error) {
         console.error("Error in batch transaction insert:", error);
-        return c.json({ error: error.message }, 500);
+        return c.json({ success: false, error: { message: error.message } }, 500);
     }
 });
 
@@ -0,0 +1,54 @@
+// src/routes/invitations.js
+import { Hono } from 'hono';
+import { protect, requireSession } from '../middleware/auth.js';
+import * as q from '../db/queries.js';
+import { sha256Hex } from '../lib/crypto.js';
+
+// Rute untuk penerima undangan (bukan pengelola buku)
+const invitationRoutes = new Hono();
+invitationRoutes.use('*', protect, requireSession);
+
+const isOpen = (invitation) => invitation && invitation.status === 'PENDING' && new Date(invitation.expires_at) > new Date();
+
+// Terima atau tolak undangan yang sudah divalidasi
+const respond = async (c, invitation, action) => {
+    const user = c.get('user');
+    if (action === 'accept') {
+        await q.acceptInvitation(c.env.DB, invitation, user.id);
+        return c.json({ success: true, message: 'Undangan diterima', data: { book_id: invitation.book_id } });
+    }
+    await q.updateInvitationStatus(c.env.DB, invitation.id, 'DECLINED');
+    return c.json({ success: true, message: 'Undangan ditolak' });
+};
+
+// Daftar undangan untuk email user yang sedang login
+invitationRoutes.get('/', async (c) => {
+    const user = await q.findUserById(c.env.DB, c.get('user').id);
+    const invitations = await q.findPendingInvitationsByEmail(c.env.DB, user.email);
+    return c.json({ success: true, data: invitations });
+});
+
+// Lewat token dari tautan email; token adalah bukti undangan, jadi email akun boleh berbeda
+for (const action of ['accept', 'decline']) {
+    invitationRoutes.post(`/${action}`, async (c) => {
+        const { token } = await c.req.json();
+        const invitation = token ? await q.findInvitationByTokenHash(c.env.DB, await sha256Hex(token)) : null;
+        if (!isOpen(invitation)) {
+            return c.json({ success: false, error: { message: 'Undangan tidak valid atau sudah kedaluwarsa.' } }, 404);
+        }
+        return await respond(c, invitation, action);
+    });
+
+    // Lewat ID dari daftar undangan di aplikasi; hanya untuk undangan ke email user sendiri
+    invitationRoutes.post(`/:invitationId/${action}`, async (c) => {
+        const { invitationId } = c.req.param();
+        const user = await q.findUserById(c.env.DB, c.get('user').id);
+        const invitation = await q.findInvitationById(c.env.DB, invitationId);
+        if (!isOpen(invitation) || invitation.email !== user.email.toLowerCase()) {
+            return c.json({ success: false, error: { message: 'Undangan tidak valid atau sudah kedaluwarsa.' } }, 404);
+        }
+        return await respond(c, invitation, action);
+    });
+}
+
+export default invitationRoutes;
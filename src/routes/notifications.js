@@ -0,0 +1,48 @@
+// src/routes/notifications.js
+import { Hono } from 'hono';
+import { protect } from '../middleware/auth.js';
+import * as q from '../db/queries.js';
+
+// [BARU] Notifikasi di aplikasi milik user yang login (pengingat, dll)
+const notificationRoutes = new Hono();
+notificationRoutes.use('*', protect);
+
+// Personal access token yang dibatasi ke buku tertentu hanya melihat notifikasi buku tersebut
+const tokenBookIds = (c) => c.get('user').apiTokenBookIds || null;
+
+notificationRoutes.get('/', async (c) => {
+    const { unread, limit, cursor } = c.req.query();
+    const result = await q.findNotificationsByUserId(c.env.DB, c.get('user').id, {
+        unreadOnly: unread === 'true',
+        bookIds: tokenBookIds(c),
+        limit,
+        cursor
+    });
+    if (result.error) {
+        return c.json({ success: false, error: { message: result.error } }, 400);
+    }
+    return c.json({
+        success: true,
+        data: result.notifications,
+        unread_count: result.unreadCount,
+        pagination: { next_cursor: result.nextCursor, has_more: Boolean(result.nextCursor) }
+    });
+});
+
+notificationRoutes.post('/read-all', async (c) => {
+    const updated = await q.markAllNotificationsRead(c.env.DB, c.get('user').id, tokenBookIds(c));
+    return c.json({ success: true, data: { updated } });
+});
+
+const setReadState = (read) => async (c) => {
+    const { notificationId } = c.req.param();
+    const updated = await q.setNotificationRead(c.env.DB, c.get('user').id, notificationId, read);
+    if (!updated) {
+        return c.json({ success: false, error: { message: 'Notification not found' } }, 404);
+    }
+    return c.json({ success: true, data: { id: notificationId, is_read: read } });
+};
+notificationRoutes.post('/:notificationId/read', setReadState(true));
+notificationRoutes.post('/:notificationId/unread', setReadState(false));
+
+export default notificationRoutes;
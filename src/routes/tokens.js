@@ -0,0 +1,68 @@
+// src/routes/tokens.js
+import { Hono } from 'hono';
+import { protect, requireSession, API_TOKEN_PREFIX } from '../middleware/auth.js';
+import * as q from '../db/queries.js';
+import { generateRandomToken, sha256Hex } from '../lib/crypto.js';
+
+// Personal access token hanya bisa dikelola dari sesi login biasa
+const tokenRoutes = new Hono();
+tokenRoutes.use('*', protect, requireSession);
+
+const TOKEN_SCOPES = ['read', 'write'];
+
+tokenRoutes.get('/', async (c) => {
+    const user = c.get('user');
+    const tokens = await q.findApiTokensByUserId(c.env.DB, user.id);
+    return c.json({ success: true, data: tokens });
+});
+
+tokenRoutes.post('/', async (c) => {
+    const user = c.get('user');
+    const { name, scope = 'read', expiresInDays, bookIds } = await c.req.json();
+
+    if (!name || !String(name).trim()) {
+        return c.json({ success: false, error: { message: 'Token name is required' } }, 400);
+    }
+    if (!TOKEN_SCOPES.includes(scope)) {
+        return c.json({ success: false, error: { message: 'Scope must be "read" or "write"' } }, 400);
+    }
+    if (expiresInDays !== undefined && expiresInDays !== null && !(Number.isInteger(expiresInDays) && expiresInDays > 0)) {
+        return c.json({ success: false, error: { message: 'expiresInDays must be a positive whole number' } }, 400);
+    }
+    if (bookIds !== undefined && bookIds !== null) {
+        if (!Array.isArray(bookIds) || bookIds.length === 0) {
+            return c.json({ success: false, error: { message: 'bookIds must be a non-empty array' } }, 400);
+        }
+        for (const bookId of bookIds) {
+            if (!await q.findMember(c.env.DB, bookId, user.id)) {
+                return c.json({ success: false, error: { message: `You are not a member of book ${bookId}` } }, 403);
+            }
+        }
+    }
+
+    const token = `${API_TOKEN_PREFIX}${generateRandomToken()}`;
+    const apiToken = await q.createApiToken(c.env.DB, {
+        user_id: user.id,
+        name: String(name).trim(),
+        token_hash: await sha256Hex(token),
+        token_prefix: token.slice(0, API_TOKEN_PREFIX.length + 6),
+        scope,
+        book_ids: bookIds || null,
+        expires_at: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString() : null
+    });
+
+    // Token utuh hanya dikembalikan sekali ini; setelahnya hanya hash-nya yang tersimpan
+    return c.json({ success: true, data: { ...apiToken, token } }, 201);
+});
+
+tokenRoutes.delete('/:tokenId', async (c) => {
+    const user = c.get('user');
+    const { tokenId } = c.req.param();
+    const revoked = await q.revokeApiToken(c.env.DB, user.id, tokenId);
+    if (!revoked) {
+        return c.json({ success: false, error: { message: 'Token not found' } }, 404);
+    }
+    return c.json({ success: true, message: 'Token revoked successfully' });
+});
+
+export default tokenRoutes;